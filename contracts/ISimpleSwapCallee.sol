@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+/// @title ISimpleSwapCallee
+/// @notice Callback a flash swap receiver must implement
+interface ISimpleSwapCallee {
+    /// @notice Called by SimpleSwap right after sending the tokens of a flash swap. Before returning, the receiver
+    ///         must transfer back enough tokens to the SimpleSwap contract to pay for them, swap fee included.
+    /// @dev Anyone can start a flash swap towards any receiver, so implementations should check that msg.sender is
+    ///      SimpleSwap and that `sender` is someone they trust.
+    /// @param sender Account that called flashSwap
+    /// @param amountAOut Amount of tokenA sent, in the order flashSwap was called with
+    /// @param amountBOut Amount of tokenB sent, in the order flashSwap was called with
+    /// @param data Arbitrary data passed through from flashSwap
+    function simpleSwapCall(address sender, uint amountAOut, uint amountBOut, bytes calldata data) external;
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/// @title IWETH
+/// @notice Wrapped Ether: an ERC20 backed 1:1 by the ETH deposited in it
+interface IWETH is IERC20 {
+    /// @notice Wraps the ETH sent into the same amount of WETH
+    function deposit() external payable;
+
+    /// @notice Unwraps `amount` WETH and sends the ETH to the caller
+    function withdraw(uint amount) external;
+}
@@ -0,0 +1,203 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {SimpleSwap} from "./SimpleSwap.sol";
+
+using SafeERC20 for IERC20;
+
+/// @title LimitOrderBook
+/// @author Nahuel Ruiz Mattar
+/// @notice Limit orders filled against the SimpleSwap pools. Makers escrow tokenIn here with the price they want,
+///         and anyone can fill an order once the pool pays that price, earning the tip the maker attached.
+/// @dev Orders are filled with swapExactTokensForTokens, so they go through the same swap math and fees as any other
+///      swap.
+contract LimitOrderBook {
+
+    /// @dev Used to scale prices to 18 decimals, as SimpleSwap.getPrice
+    uint constant DECIMALS_FACTOR = 10**18;
+
+    enum OrderStatus { Open, Filled, Cancelled }
+
+    /// @notice A limit order. Its escrow is amountIn + tip of tokenIn.
+    /// @dev targetPrice is the minimum price of tokenIn in terms of tokenOut, scaled by 1e18 like getPrice(tokenIn, tokenOut)
+    struct Order {
+        address maker;
+        address tokenIn;
+        address tokenOut;
+        uint amountIn;
+        uint targetPrice;
+        uint tip;
+        uint expiry;
+        OrderStatus status;
+    }
+
+    /// @notice SimpleSwap instance the orders are filled against
+    SimpleSwap public immutable simpleSwap;
+
+    /// @notice Every order ever placed; its index is its id
+    Order[] public orders;
+
+    /// @dev Ids of the orders of each maker
+    mapping(address => uint[]) private ordersOfMaker;
+
+    /// @dev Ids of the orders selling tokenIn for tokenOut: ordersOfPair[tokenIn][tokenOut]
+    mapping(address => mapping(address => uint[])) private ordersOfPair;
+
+    /// @notice Initializes the order book
+    /// @param _simpleSwap Address of SimpleSwap
+    constructor(address _simpleSwap) {
+        simpleSwap = SimpleSwap(_simpleSwap);
+    }
+
+    /// @notice Places a limit order, escrowing amountIn + tip of tokenIn
+    /// @dev The caller must approve this contract for amountIn + tip. Tokens that charge a fee on transfer are not supported.
+    /// @param tokenIn Token to sell
+    /// @param tokenOut Token to buy
+    /// @param amountIn Amount of tokenIn to sell
+    /// @param targetPrice Minimum price of tokenIn in terms of tokenOut, scaled by 1e18
+    /// @param tip Amount of tokenIn paid to whoever fills the order
+    /// @param expiry Latest time the order can be filled
+    /// @return orderId Id of the new order
+    function placeOrder(
+        address tokenIn,
+        address tokenOut,
+        uint amountIn,
+        uint targetPrice,
+        uint tip,
+        uint expiry
+    ) external returns (uint orderId) {
+        require(simpleSwap.liquidityToken(tokenIn, tokenOut) != address(0), "Pair does not exist");
+        require(amountIn > 0, "Zero amountIn");
+        require(minAmountOut(amountIn, targetPrice) > 0, "Target price too low");
+        require(expiry > block.timestamp, "Invalid expiry");
+
+        uint balanceBefore = IERC20(tokenIn).balanceOf(address(this));
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn + tip);
+        require(IERC20(tokenIn).balanceOf(address(this)) - balanceBefore == amountIn + tip, "Transfer fee not supported");
+
+        orderId = orders.length;
+        orders.push(Order(msg.sender, tokenIn, tokenOut, amountIn, targetPrice, tip, expiry, OrderStatus.Open));
+        ordersOfMaker[msg.sender].push(orderId);
+        ordersOfPair[tokenIn][tokenOut].push(orderId);
+
+        emit OrderPlaced(orderId, msg.sender, tokenIn, tokenOut, amountIn, targetPrice, tip, expiry);
+    }
+
+    /// @notice Emitted when an order is placed
+    event OrderPlaced(
+        uint indexed orderId,
+        address indexed maker,
+        address tokenIn,
+        address tokenOut,
+        uint amountIn,
+        uint targetPrice,
+        uint tip,
+        uint expiry
+    );
+
+    /// @notice Fills an open order once the pool pays at least its target price, fee and price impact included
+    /// @dev The output goes straight to the maker and the tip to the caller
+    /// @param orderId Id of the order
+    /// @return amountOut Amount of tokenOut the maker received
+    function fillOrder(uint orderId) external returns (uint amountOut) {
+        Order storage order = orders[orderId];
+        require(order.status == OrderStatus.Open, "Order not open");
+        require(block.timestamp <= order.expiry, "Order expired");
+        require(canFill(orderId), "Price not reached");
+
+        order.status = OrderStatus.Filled;
+
+        address[] memory path = new address[](2);
+        path[0] = order.tokenIn;
+        path[1] = order.tokenOut;
+        IERC20(order.tokenIn).forceApprove(address(simpleSwap), order.amountIn);
+        uint[] memory amounts = simpleSwap.swapExactTokensForTokens(
+            order.amountIn, minAmountOut(order.amountIn, order.targetPrice), path, order.maker, block.timestamp
+        );
+        amountOut = amounts[1];
+
+        if (order.tip > 0) {
+            IERC20(order.tokenIn).safeTransfer(msg.sender, order.tip);
+        }
+
+        emit OrderFilled(orderId, msg.sender, amountOut);
+    }
+
+    /// @notice Emitted when an order is filled
+    event OrderFilled(uint indexed orderId, address indexed keeper, uint amountOut);
+
+    /// @notice Cancels an open order and returns its escrow to the maker. Expired orders can be cancelled too
+    /// @param orderId Id of the order
+    function cancelOrder(uint orderId) external {
+        Order storage order = orders[orderId];
+        require(order.maker == msg.sender, "Not the maker");
+        require(order.status == OrderStatus.Open, "Order not open");
+
+        order.status = OrderStatus.Cancelled;
+        IERC20(order.tokenIn).safeTransfer(order.maker, order.amountIn + order.tip);
+
+        emit OrderCancelled(orderId);
+    }
+
+    /// @notice Emitted when an order is cancelled
+    event OrderCancelled(uint indexed orderId);
+
+    /// @notice Whether the pool currently pays at least the target price of an order
+    /// @dev Doesn't check the status or the expiry of the order
+    /// @param orderId Id of the order
+    function canFill(uint orderId) public view returns (bool) {
+        Order storage order = orders[orderId];
+        (uint reserveIn, uint reserveOut, ) = simpleSwap.getReserves(order.tokenIn, order.tokenOut);
+        if (reserveIn == 0 || reserveOut == 0) {
+            return false;
+        }
+        uint amountOut = simpleSwap.getAmountOut(
+            order.amountIn, reserveIn, reserveOut, simpleSwap.swapFee(order.tokenIn, order.tokenOut)
+        );
+        return amountOut >= minAmountOut(order.amountIn, order.targetPrice);
+    }
+
+    /// @notice Number of orders ever placed
+    function ordersLength() external view returns (uint) {
+        return orders.length;
+    }
+
+    /// @notice Ids of every order of a maker, whatever their status
+    /// @param maker Address of the maker
+    function getOrdersOf(address maker) external view returns (uint[] memory) {
+        return ordersOfMaker[maker];
+    }
+
+    /// @notice Ids of the open, unexpired orders selling tokenIn for tokenOut
+    /// @param tokenIn Token the orders sell
+    /// @param tokenOut Token the orders buy
+    function getOpenOrders(address tokenIn, address tokenOut) external view returns (uint[] memory ids) {
+        uint[] storage pairOrders = ordersOfPair[tokenIn][tokenOut];
+        uint count = 0;
+        for (uint i = 0; i < pairOrders.length; i++) {
+            if (isLive(orders[pairOrders[i]])) {
+                count++;
+            }
+        }
+
+        ids = new uint[](count);
+        count = 0;
+        for (uint i = 0; i < pairOrders.length; i++) {
+            if (isLive(orders[pairOrders[i]])) {
+                ids[count++] = pairOrders[i];
+            }
+        }
+    }
+
+    /// @dev Whether an order can still be filled, price aside
+    function isLive(Order storage order) internal view returns (bool) {
+        return order.status == OrderStatus.Open && block.timestamp <= order.expiry;
+    }
+
+    /// @dev Least amount of tokenOut an order accepts for amountIn at its target price
+    function minAmountOut(uint amountIn, uint targetPrice) internal pure returns (uint) {
+        return (amountIn * targetPrice) / DECIMALS_FACTOR;
+    }
+}
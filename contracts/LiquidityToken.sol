@@ -0,0 +1,50 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import {ERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+
+/// @title LiquidityToken
+/// @author Nahuel Ruiz Mattar
+/// @notice Liquidity token (LTK) representing a share of a single SimpleSwap token pair
+/// @dev SimpleSwap deploys one of these per pair (through its LiquidityTokenDeployer) and is its owner,
+///      so only SimpleSwap can mint and burn.
+///      It supports EIP-2612 permits, so a holder can let someone else remove their liquidity with a signature.
+contract LiquidityToken is ERC20, Ownable, ERC20Permit {
+
+    /// @notice First token of the pair (lower address, as normalized by SimpleSwap)
+    address public immutable tokenA;
+
+    /// @notice Second token of the pair (higher address, as normalized by SimpleSwap)
+    address public immutable tokenB;
+
+    /// @notice Initializes the liquidity token for the given pair
+    /// @param _tokenA First token of the pair
+    /// @param _tokenB Second token of the pair
+    constructor(address _tokenA, address _tokenB)
+        ERC20("Liquidity Token", "LTK")
+        Ownable(msg.sender)
+        ERC20Permit("Liquidity Token")
+    {
+        tokenA = _tokenA;
+        tokenB = _tokenB;
+    }
+
+    /// @notice Mints liquidity tokens when liquidity is added to the pair
+    function mint(address to, uint256 amount) public onlyOwner {
+        _mint(to, amount);
+    }
+
+    /// @notice Burns liquidity tokens when liquidity is removed from the pair
+    /// @dev When the removal is made by someone else than the holder, it spends the allowance the holder gave them
+    /// @param from Holder of the liquidity tokens
+    /// @param spender Account removing the liquidity
+    /// @param amount Amount of liquidity tokens to burn
+    function burnFrom(address from, address spender, uint256 amount) public onlyOwner {
+        if (from != spender) {
+            _spendAllowance(from, spender, amount);
+        }
+        _burn(from, amount);
+    }
+}
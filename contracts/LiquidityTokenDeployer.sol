@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {LiquidityToken} from "./LiquidityToken.sol";
+
+/// @title LiquidityTokenDeployer
+/// @author Nahuel Ruiz Mattar
+/// @notice Deploys the liquidity token of every new SimpleSwap pair and hands its ownership to SimpleSwap
+/// @dev SimpleSwap creates this contract in its constructor, so the LiquidityToken bytecode lives here
+///      and doesn't count towards SimpleSwap's own contract size limit.
+contract LiquidityTokenDeployer {
+
+    /// @notice The SimpleSwap contract that created this deployer and owns every token it deploys
+    address public immutable simpleSwap;
+
+    /// @notice Initializes the deployer for the SimpleSwap contract creating it
+    constructor() {
+        simpleSwap = msg.sender;
+    }
+
+    /// @notice Deploys the liquidity token of a pair, owned by SimpleSwap
+    /// @param tokenA First token of the pair (lower address)
+    /// @param tokenB Second token of the pair (higher address)
+    /// @return liquidityToken Address of the new liquidity token
+    function deploy(address tokenA, address tokenB) external returns (address liquidityToken) {
+        require(msg.sender == simpleSwap, "Only SimpleSwap");
+        LiquidityToken token = new LiquidityToken(tokenA, tokenB);
+        token.transferOwnership(simpleSwap);
+        liquidityToken = address(token);
+    }
+}
@@ -1,18 +1,27 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.27;
 
-import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {Ownable2Step} from "@openzeppelin/contracts/access/Ownable2Step.sol";
+import {Pausable} from "@openzeppelin/contracts/utils/Pausable.sol";
+import {LiquidityToken} from "./LiquidityToken.sol";
+import {LiquidityTokenDeployer} from "./LiquidityTokenDeployer.sol";
+import {ISimpleSwapCallee} from "./ISimpleSwapCallee.sol";
 
 using SafeERC20 for IERC20;
 
 /// @title SimpleSwap
 /// @author Nahuel Ruiz Mattar
 /// @notice A basic token swap contract that allows adding/removing liquidity and swapping between two tokens
-/// @dev This contract issues its own ERC20 token as liquidity representation
-contract SimpleSwap is ERC20 {
+/// @dev Each token pair gets its own LiquidityToken (LTK) as liquidity representation.
+///      The owner can pause swaps and new liquidity, and restrict new liquidity to allowlisted tokens;
+///      removing liquidity is never blocked.
+contract SimpleSwap is Ownable2Step, Pausable {
 
     /// @dev Used to scale prices to 18 decimals (standard for ERC20)
     uint constant DECIMALS_FACTOR = 10**18;
@@ -20,9 +29,21 @@ contract SimpleSwap is ERC20 {
     /// @dev Minimum liquidity locked in the pool to avoid divide-by-zero scenarios. As SwapVerifier do not contemplate this, it will be zero.
     uint constant MINIMUM_LIQUIDITY = 0;
 
+    /// @dev Fees are expressed in basis points (1 = 0.01%)
+    uint constant FEE_DENOMINATOR = 10_000;
+
+    /// @dev Upper bound for any pair's swap fee (10%)
+    uint constant MAX_SWAP_FEE = 1_000;
+
+    /// @dev Number of price observations kept per pair; older ones are overwritten
+    uint constant OBSERVATION_CARDINALITY = 128;
+
     /// @dev Used for nonReentrancy modifier
     bool private locked;
 
+    /// @dev Deploys the liquidity token of every new pair
+    LiquidityTokenDeployer private immutable liquidityTokenDeployer;
+
     /// @dev Structure containing all necessary data for token pair operations
     struct TokenPairData {
         address tokenA;
@@ -36,14 +57,82 @@ contract SimpleSwap is ERC20 {
         uint amountAMin;
         uint amountBMin;
         bool reversed;
+        address liquidityToken;
+        uint swapFee;
+    }
+
+    /// @dev Snapshot of a pair's cumulative prices, taken at most once per block before its reserves change.
+    ///      priceACumulative adds up the price of tokenA in terms of tokenB (scaled by 1e18) times the seconds it lasted.
+    struct Observation {
+        uint timestamp;
+        uint priceACumulative;
+        uint priceBCumulative;
+    }
+
+    /// @notice A registered pair, with its tokens normalized (tokenA < tokenB)
+    struct Pair {
+        address tokenA;
+        address tokenB;
+        address liquidityToken;
+    }
+
+    /// @notice EIP-2612 signature allowing this contract to spend the caller's tokens
+    struct PermitData {
+        uint value;
+        uint deadline;
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
     }
 
     /// @notice Stores the reserve of each token pair
     /// @dev reserve[tokenA][tokenB] = amount of tokenA reserved against tokenB
     mapping(address => mapping(address => uint)) public reserve;
 
-    /// @notice Initializes the contract and sets token name/symbol
-    constructor() ERC20("Liquidity Token", "LTK") {}
+    /// @notice Stores the liquidity token issued for each token pair
+    /// @dev liquidityToken[tokenA][tokenB] == liquidityToken[tokenB][tokenA]; zero until the pair is first initialized
+    mapping(address => mapping(address => address)) public liquidityToken;
+
+    /// @notice Swap fee charged by each token pair, in basis points
+    /// @dev swapFee[tokenA][tokenB] == swapFee[tokenB][tokenA]; it stays in the reserves except for the protocol cut
+    mapping(address => mapping(address => uint)) public swapFee;
+
+    /// @notice Swap fee assigned to new pairs, in basis points
+    uint public defaultSwapFee = 30;
+
+    /// @notice Receiver of the protocol cut; the protocol fee is off while it is the zero address
+    address public feeRecipient;
+
+    /// @notice Share of every swap fee sent to feeRecipient, in basis points of the fee
+    uint public protocolFeeShare;
+
+    /// @notice Sum of the reserves of a token over all its pairs
+    /// @dev Pairs share this contract's balances, so whatever it holds above this total belongs to no pair:
+    ///      tokens sent directly, or rebasing gains. skim and sync settle that difference.
+    mapping(address => uint) public totalReserve;
+
+    /// @notice Every pair ever initialized, in creation order
+    Pair[] public allPairs;
+
+    /// @notice Whether only allowlisted tokens can receive liquidity
+    bool public allowlistEnabled;
+
+    /// @notice Tokens that can receive liquidity while the allowlist is enabled
+    mapping(address => bool) public isTokenAllowed;
+
+    /// @dev Ring buffer of price observations of each normalized pair (tokenA < tokenB)
+    mapping(address => mapping(address => Observation[OBSERVATION_CARDINALITY])) private observations;
+
+    /// @dev Position of the newest observation of each normalized pair in its ring buffer
+    mapping(address => mapping(address => uint)) private observationIndex;
+
+    /// @dev Number of observations stored for each normalized pair, up to OBSERVATION_CARDINALITY
+    mapping(address => mapping(address => uint)) private observationCount;
+
+    /// @notice Initializes the contract and makes the deployer its owner
+    constructor() Ownable(msg.sender) {
+        liquidityTokenDeployer = new LiquidityTokenDeployer();
+    }
 
     /// @dev Prevents reentrancy by locking execution
     modifier nonReentrant() {
@@ -81,11 +170,13 @@ contract SimpleSwap is ERC20 {
         address to,
         uint deadline
     )
-        external
+        public
         nonReentrant
+        whenNotPaused
         isNotExpired(deadline)
         returns (uint amountA, uint amountB, uint liquidity)
     {
+        require(!allowlistEnabled || (isTokenAllowed[tokenA] && isTokenAllowed[tokenB]), "Token not allowed");
         require(amountADesired >= amountAMin, "amountADesired too low");
         require(amountBDesired >= amountBMin, "amountBDesired too low");
 
@@ -109,7 +200,9 @@ contract SimpleSwap is ERC20 {
             data.amountA = data.amountADesired; 
             data.amountB = data.amountBDesired; 
             isInitialLiquidity = true;
-            liquidity = calculateInitialLiquidity(data);
+            if (data.liquidityToken == address(0)) {
+                createPair(data);
+            }
         } else {
             // Calculate optimal amounts based on current reserve ratio
             data.amountB = data.amountBDesired;
@@ -121,16 +214,14 @@ contract SimpleSwap is ERC20 {
                 data.amountB = (data.amountADesired * data.reserveB) / data.reserveA;
 
                 require(
-                    data.amountB >= amountBMin && data.amountB <= data.amountBDesired,
+                    data.amountB >= data.amountBMin && data.amountB <= data.amountBDesired,
                     "Amounts do not meet constraints"
                 );
             }
-
-            liquidity = calculateExistingLiquidity(data);
         }
 
         // Transfer tokens and mint liquidity tokens
-        addLiquidityTransact(msg.sender, to, data, liquidity, isInitialLiquidity);
+        liquidity = addLiquidityTransact(msg.sender, to, data, isInitialLiquidity);
 
         // If tokens were internally reordered, restore output values to match original path order.
         amountA = data.reversed ? data.amountB : data.amountA;
@@ -138,32 +229,56 @@ contract SimpleSwap is ERC20 {
     }
 
     /// @dev Executes token transfers and liquidity minting during liquidity provision.
+    ///      Liquidity is minted for what actually arrived, so fee-on-transfer tokens don't inflate the reserves.
     ///      Extracted into a separate function to avoid "Stack too deep" compiler errors.
     function addLiquidityTransact(
         address from,
         address to,
         TokenPairData memory data,
-        uint liquidity,
         bool isInitialLiquidity
-    ) internal {
-        IERC20(data.tokenA).safeTransferFrom(from, address(this), data.amountA);
-        IERC20(data.tokenB).safeTransferFrom(from, address(this), data.amountB);
+    ) internal returns (uint liquidity) {
+        data.amountA = pullTokens(data.tokenA, from, data.amountA);
+        data.amountB = pullTokens(data.tokenB, from, data.amountB);
+        liquidity = isInitialLiquidity ? calculateInitialLiquidity(data) : calculateExistingLiquidity(data);
 
-        _mint(to, liquidity);
+        LiquidityToken(data.liquidityToken).mint(to, liquidity);
 
         if (isInitialLiquidity) {
-            _mint(address(this), MINIMUM_LIQUIDITY);
+            LiquidityToken(data.liquidityToken).mint(address(this), MINIMUM_LIQUIDITY);
         }
 
-        reserve[data.tokenA][data.tokenB] += data.amountA;
-        reserve[data.tokenB][data.tokenA] += data.amountB;
+        updateOracle(data);
+        setReserves(data, data.reserveA + data.amountA, data.reserveB + data.amountB);
 
         emit LiquidityAdded(from, to, data.tokenA, data.tokenB, data.amountA, data.amountB, liquidity);
+        emit Mint(from, data.tokenA, data.tokenB, data.amountA, data.amountB, liquidity, to);
     }
 
     /// @notice Emitted when liquidity is added to the pool
     event LiquidityAdded(address indexed from, address indexed to, address tokenA, address TokenB, uint amountA, uint amountB, uint liquidity);    
 
+    /// @notice Emitted when liquidity is added to a pair, indexed by the pair so it can be filtered per pair
+    /// @dev Tokens are normalized (tokenA < tokenB) and the amounts follow them
+    event Mint(address indexed sender, address indexed tokenA, address indexed tokenB, uint amountA, uint amountB, uint liquidity, address to);
+
+    /// @dev Sets up a pair the first time it receives liquidity: deploys its liquidity token, assigns the default fee
+    ///      and registers it in allPairs
+    function createPair(TokenPairData memory data) internal {
+        data.liquidityToken = liquidityTokenDeployer.deploy(data.tokenA, data.tokenB);
+        data.swapFee = defaultSwapFee;
+        liquidityToken[data.tokenA][data.tokenB] = data.liquidityToken;
+        liquidityToken[data.tokenB][data.tokenA] = data.liquidityToken;
+        swapFee[data.tokenA][data.tokenB] = data.swapFee;
+        swapFee[data.tokenB][data.tokenA] = data.swapFee;
+        allPairs.push(Pair(data.tokenA, data.tokenB, data.liquidityToken));
+
+        emit PairCreated(data.tokenA, data.tokenB, data.liquidityToken, allPairs.length);
+    }
+
+    /// @notice Emitted when a pair receives liquidity for the first time
+    /// @dev Tokens are normalized (tokenA < tokenB); pairCount is allPairsLength() after registering it
+    event PairCreated(address indexed tokenA, address indexed tokenB, address liquidityToken, uint pairCount);
+
     /// @dev Computes liquidity to mint for new pool
     ///      Extracted into a separate function to avoid "Stack too deep" compiler errors.
     function calculateInitialLiquidity(TokenPairData memory data) internal pure returns (uint liquidity) {
@@ -171,13 +286,14 @@ contract SimpleSwap is ERC20 {
         require(liquidity > 0, "Liquidity too low");
     }
 
-    /// @dev Computes liquidity for existing pool based on proportional contribution
+    /// @dev Computes liquidity for existing pool based on proportional contribution to this pair only
     ///      Extracted into a separate function to avoid "Stack too deep" compiler errors.
     function calculateExistingLiquidity(TokenPairData memory data) internal view returns (uint liquidity) {
-        uint256 totalSupplyLTK = totalSupply();
+        uint256 totalSupplyLTK = LiquidityToken(data.liquidityToken).totalSupply();
         uint256 liquidityA = (data.amountA * totalSupplyLTK) / data.reserveA;
         uint256 liquidityB = (data.amountB * totalSupplyLTK) / data.reserveB;
         liquidity = liquidityA < liquidityB ? liquidityA : liquidityB;
+        require(liquidity > 0, "Liquidity too low");
     }
 
     /// @notice Removes liquidity from the pool
@@ -199,61 +315,75 @@ contract SimpleSwap is ERC20 {
         address to,
         uint deadline
     )
-        external
+        public
         nonReentrant
         isNotExpired(deadline)
         returns (uint amountA, uint amountB)
     {
+        return removeLiquidityTransact(msg.sender, tokenA, tokenB, liquidity, amountAMin, amountBMin, to);
+    }
+
+    /// @dev Burns the holder's liquidity tokens and sends their share of the reserves to `to`.
+    ///      Unless the holder is the caller, the burn spends the allowance the holder gave the caller.
+    function removeLiquidityTransact(
+        address holder,
+        address tokenA,
+        address tokenB,
+        uint liquidity,
+        uint amountAMin,
+        uint amountBMin,
+        address to
+    ) internal returns (uint amountA, uint amountB) {
         // Ensure the user is not trying to remove zero liquidity.
         require(liquidity > 0, "Zero liquidity");
 
         // Normalize token order and fetch reserves; also determine if input was reversed.
         TokenPairData memory data = reorderTokens(tokenA, tokenB);
+        require(data.liquidityToken != address(0), "Pair does not exist");
 
-        // Adjust minimum amounts based on whether the original token order was reversed.
-        data.amountAMin = data.reversed ? amountBMin : amountAMin;
-        data.amountBMin = data.reversed ? amountAMin : amountBMin;
-
-        // Get the total supply of liquidity tokens to calculate proportional amounts.
-        uint256 totalSupplyLTK = totalSupply();
+        // Get the total supply of this pair's liquidity tokens to calculate proportional amounts.
+        uint256 totalSupplyLTK = LiquidityToken(data.liquidityToken).totalSupply();
 
         // Calculate the amount of each token to withdraw, proportional to the user's liquidity.
         data.amountA = (liquidity * data.reserveA) / totalSupplyLTK;
         data.amountB = (liquidity * data.reserveB) / totalSupplyLTK;
 
-        // Ensure the withdrawn amounts meet the minimum thresholds set by the user.
-        require(data.amountA >= data.amountAMin, "amountA too low");
-        require(data.amountB >= data.amountBMin, "amountB too low");
+        // Restore the original token order and ensure the withdrawn amounts meet the minimum thresholds set by the user.
+        amountA = data.reversed ? data.amountB : data.amountA;
+        amountB = data.reversed ? data.amountA : data.amountB;
+        require(amountA >= amountAMin, "amountA too low");
+        require(amountB >= amountBMin, "amountB too low");
 
-        // Burn the user's liquidity tokens.
-        _burn(msg.sender, liquidity);
+        // Burn the holder's liquidity tokens.
+        LiquidityToken(data.liquidityToken).burnFrom(holder, msg.sender, liquidity);
 
         // Transfer the corresponding token amounts to the recipient.
         IERC20(data.tokenA).safeTransfer(to, data.amountA);
         IERC20(data.tokenB).safeTransfer(to, data.amountB);
 
         // Update internal reserves to reflect the removed liquidity.
-        reserve[data.tokenA][data.tokenB] -= data.amountA;
-        reserve[data.tokenB][data.tokenA] -= data.amountB;
-
-        // Restore the original token order in the returned values.
-        amountA = data.reversed ? data.amountB : data.amountA;
-        amountB = data.reversed ? data.amountA : data.amountB;
+        updateOracle(data);
+        setReserves(data, data.reserveA - data.amountA, data.reserveB - data.amountB);
 
         // Emit an event to log the liquidity removal.
-        emit LiquidityRemoved(msg.sender, to, liquidity, data.tokenA, data.tokenB, amountA, amountB);
+        emit LiquidityRemoved(holder, to, liquidity, data.tokenA, data.tokenB, data.amountA, data.amountB);
+        emit Burn(msg.sender, data.tokenA, data.tokenB, data.amountA, data.amountB, liquidity, to);
     }
 
     /// @notice Emitted when liquidity is removed from the pool
     event LiquidityRemoved(address indexed from, address indexed to, uint256 liquidity, address tokenA, address TokenB, uint256 amountA, uint256 amountB);
 
-    /// @notice Swaps exact tokens for another token based on the current reserve ratio
+    /// @notice Emitted when liquidity is removed from a pair, indexed by the pair so it can be filtered per pair
+    /// @dev Tokens are normalized (tokenA < tokenB) and the amounts follow them
+    event Burn(address indexed sender, address indexed tokenA, address indexed tokenB, uint amountA, uint amountB, uint liquidity, address to);
+
+    /// @notice Swaps exact tokens for another token based on the current reserve ratio, hop by hop along the path
     /// @param amountIn Amount of input tokens
     /// @param amountOutMin Minimum amount of output tokens required
-    /// @param path Token pair involved in swap [tokenIn, tokenOut]
+    /// @param path Tokens involved in swap [tokenIn, ...intermediate tokens, tokenOut]
     /// @param to Recipient of output tokens
     /// @param deadline Latest valid time for this transaction
-    /// @return amounts [amountIn, amountOut] depending on token order
+    /// @return amounts Amount of every token in the path, from amountIn to amountOut
     function swapExactTokensForTokens(
         uint amountIn,
         uint amountOutMin,
@@ -261,43 +391,119 @@ contract SimpleSwap is ERC20 {
         address to,
         uint deadline
     )
-        external
+        public
         nonReentrant
+        whenNotPaused
         isNotExpired(deadline)
         returns (uint[] memory amounts)
     {
         require(amountIn > 0, "Zero amountIn");
         require(amountOutMin > 0, "Zero amountOutMin");
-        require(path.length == 2, "Only 1-pair swaps allowed");
-
-        uint amountOut;
-        TokenPairData memory data = reorderTokens(path[0], path[1]);
-
-        require(data.reserveA > 0 && data.reserveB > 0, "Empty reserves");
-
-        // Calculate output amount using constant product formula
-        if (data.reversed)
-        {
-            amountOut = (amountIn * data.reserveA) / (data.reserveB + amountIn);
-            data.amountA = amountOut;
-            data.amountB = amountIn;            
-        }else{            
-            amountOut = (amountIn * data.reserveB) / (data.reserveA + amountIn);
-            data.amountA = amountIn;
-            data.amountB = amountOut;
+
+        // Quote the whole route first, so the final amount is checked before any transfer
+        amounts = getAmountsOut(amountIn, path);
+
+        require(amounts[amounts.length - 1] >= amountOutMin, "Slippage exceeded");
+
+        swapAlongPath(amounts, path, msg.sender, to);
+
+        emit SwapExecuted(msg.sender, to, path, amounts);
+    }
+
+    /// @notice Same as swapExactTokensForTokens, for tokens that charge a fee on transfer
+    /// @dev Every hop is quoted with what the previous one actually delivered, and amountOutMin is checked against
+    ///      what `to` actually received. The amounts in SwapExecuted are the ones that reached each pair.
+    /// @param amountIn Amount of input tokens sent, before the transfer fee
+    /// @param amountOutMin Minimum amount of output tokens `to` must end up with
+    /// @param path Tokens involved in swap [tokenIn, ...intermediate tokens, tokenOut]
+    /// @param to Recipient of output tokens
+    /// @param deadline Latest valid time for this transaction
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        isNotExpired(deadline)
+    {
+        require(path.length >= 2, "Invalid path");
+        require(amountIn > 0, "Zero amountIn");
+        IERC20 tokenOut = IERC20(path[path.length - 1]);
+        uint balanceBefore = tokenOut.balanceOf(to);
+
+        uint[] memory amounts = new uint[](path.length);
+        amounts[0] = pullTokens(path[0], msg.sender, amountIn);
+        for (uint i = 0; i < path.length - 1; i++) {
+            TokenPairData memory data = reorderTokens(path[i], path[i + 1]);
+            require(data.reserveA > 0 && data.reserveB > 0, "Empty reserves");
+            amounts[i + 1] = data.reversed
+                ? getAmountOut(amounts[i], data.reserveB, data.reserveA, data.swapFee)
+                : getAmountOut(amounts[i], data.reserveA, data.reserveB, data.swapFee);
+            data.amountA = data.reversed ? amounts[i + 1] : amounts[i];
+            data.amountB = data.reversed ? amounts[i] : amounts[i + 1];
+
+            // The input is already here, and intermediate tokens stay here
+            swapExactTokensForTokensTransact(data, address(this), i == path.length - 2 ? to : address(this));
         }
 
-        require(data.amountB >= amountOutMin, "Slippage exceeded");
+        require(tokenOut.balanceOf(to) - balanceBefore >= amountOutMin, "Slippage exceeded");
 
-        swapExactTokensForTokensTransact(data, msg.sender, to);
+        emit SwapExecuted(msg.sender, to, path, amounts);
+    }
 
-        amounts = new uint[](path.length);
-        amounts[0] = data.reversed ? data.amountB : data.amountA;
-        amounts[1] = data.reversed ? data.amountA : data.amountB;
+    /// @notice Swaps as few input tokens as possible for an exact amount of output tokens, hop by hop along the path
+    /// @param amountOut Exact amount of output tokens to receive
+    /// @param amountInMax Maximum amount of input tokens to spend
+    /// @param path Tokens involved in swap [tokenIn, ...intermediate tokens, tokenOut]
+    /// @param to Recipient of output tokens
+    /// @param deadline Latest valid time for this transaction
+    /// @return amounts Amount of every token in the path, from amountIn to amountOut
+    function swapTokensForExactTokens(
+        uint amountOut,
+        uint amountInMax,
+        address[] calldata path,
+        address to,
+        uint deadline
+    )
+        external
+        nonReentrant
+        whenNotPaused
+        isNotExpired(deadline)
+        returns (uint[] memory amounts)
+    {
+        require(amountOut > 0, "Zero amountOut");
+        require(amountInMax > 0, "Zero amountInMax");
+
+        // Quote the whole route backwards, so the required input is checked before any transfer
+        amounts = getAmountsIn(amountOut, path);
+
+        require(amounts[0] <= amountInMax, "Slippage exceeded");
+
+        swapAlongPath(amounts, path, msg.sender, to);
 
         emit SwapExecuted(msg.sender, to, path, amounts);
     }
 
+    /// @dev Executes every hop of the path with the already quoted amounts.
+    ///      Intermediate tokens never leave the contract: they are just moved from one pair's reserves to the next.
+    function swapAlongPath(uint[] memory amounts, address[] calldata path, address from, address to) internal {
+        for (uint i = 0; i < path.length - 1; i++) {
+            TokenPairData memory data = reorderTokens(path[i], path[i + 1]);
+            data.amountA = data.reversed ? amounts[i + 1] : amounts[i];
+            data.amountB = data.reversed ? amounts[i] : amounts[i + 1];
+
+            swapExactTokensForTokensTransact(
+                data,
+                i == 0 ? from : address(this),
+                i == path.length - 2 ? to : address(this)
+            );
+        }
+    }
+
     /// @dev Normalizes token order to avoid duplicate storage paths
     function reorderTokens(address tokenA, address tokenB) internal view returns (TokenPairData memory data) {
         require(tokenA != tokenB, "Tokens must differ");
@@ -306,30 +512,294 @@ contract SimpleSwap is ERC20 {
         data.tokenB = data.reversed ? tokenA : tokenB; 
         data.reserveA = reserve[data.tokenA][data.tokenB];
         data.reserveB = reserve[data.tokenB][data.tokenA];
+        data.liquidityToken = liquidityToken[data.tokenA][data.tokenB];
+        data.swapFee = swapFee[data.tokenA][data.tokenB];
     }
 
-    /// @dev Executes internal logic for swaps based on token order
+    /// @dev Executes internal logic for swaps based on token order.
+    ///      The swap fee stays in the reserves, except for the protocol cut that is forwarded to feeRecipient.
+    ///      When from or to is this contract (an intermediate hop), the tokens are already here and are not moved.
     function swapExactTokensForTokensTransact(
         TokenPairData memory data,
         address from,
         address to
     ) internal {
         if (data.reversed) {
-            IERC20(data.tokenA).safeTransfer(to, data.amountA);
-            IERC20(data.tokenB).safeTransferFrom(from, address(this), data.amountB);
-            reserve[data.tokenA][data.tokenB] -= data.amountB;
-            reserve[data.tokenB][data.tokenA] += data.amountA;
+            if (to != address(this)) IERC20(data.tokenA).safeTransfer(to, data.amountA);
+            uint amountIn = from != address(this) ? pullTokens(data.tokenB, from, data.amountB) : data.amountB;
+            uint protocolFee = payProtocolFee(data.tokenB, amountIn, data.swapFee);
+            updateOracle(data);
+            setReserves(data, data.reserveA - data.amountA, data.reserveB + amountIn - protocolFee);
+            emit Swap(msg.sender, data.tokenB, data.tokenA, amountIn, data.amountA, to);
         } else {
-            IERC20(data.tokenA).safeTransferFrom(from, address(this), data.amountA);
-            IERC20(data.tokenB).safeTransfer(to, data.amountB);
-            reserve[data.tokenA][data.tokenB] += data.amountA;
-            reserve[data.tokenB][data.tokenA] -= data.amountB;
-        }            
+            uint amountIn = from != address(this) ? pullTokens(data.tokenA, from, data.amountA) : data.amountA;
+            if (to != address(this)) IERC20(data.tokenB).safeTransfer(to, data.amountB);
+            uint protocolFee = payProtocolFee(data.tokenA, amountIn, data.swapFee);
+            updateOracle(data);
+            setReserves(data, data.reserveA + amountIn - protocolFee, data.reserveB - data.amountB);
+            emit Swap(msg.sender, data.tokenA, data.tokenB, amountIn, data.amountB, to);
+        }
+
+        // Amounts are quoted for the whole path up front, so a path that goes through the same pair twice
+        // would price its second hop on stale reserves, and a fee-on-transfer token delivers less than quoted.
+        // The constant product must never decrease.
+        require(
+            reserve[data.tokenA][data.tokenB] * reserve[data.tokenB][data.tokenA] >= data.reserveA * data.reserveB,
+            "Invariant violated"
+        );
+    }
+
+    /// @dev Sends the protocol share of the swap fee to feeRecipient, if the protocol fee is on
+    function payProtocolFee(address tokenIn, uint amountIn, uint fee) internal returns (uint protocolFee) {
+        if (feeRecipient == address(0) || protocolFeeShare == 0) {
+            return 0;
+        }
+        protocolFee = (amountIn * fee * protocolFeeShare) / (FEE_DENOMINATOR * FEE_DENOMINATOR);
+        if (protocolFee > 0) {
+            IERC20(tokenIn).safeTransfer(feeRecipient, protocolFee);
+        }
     }
 
+    /// @dev Transfers tokens in and returns how many actually arrived, which is less than `amount` for fee-on-transfer tokens
+    function pullTokens(address token, address from, uint amount) internal returns (uint received) {
+        uint balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(from, address(this), amount);
+        received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+    }
+
+    /// @dev Writes both reserves of a normalized pair, keeping totalReserve in step
+    function setReserves(TokenPairData memory data, uint reserveA, uint reserveB) internal {
+        totalReserve[data.tokenA] = totalReserve[data.tokenA] - reserve[data.tokenA][data.tokenB] + reserveA;
+        totalReserve[data.tokenB] = totalReserve[data.tokenB] - reserve[data.tokenB][data.tokenA] + reserveB;
+        reserve[data.tokenA][data.tokenB] = reserveA;
+        reserve[data.tokenB][data.tokenA] = reserveB;
+
+        emit Sync(data.tokenA, data.tokenB, reserveA, reserveB);
+    }
+
+    /// @notice Emitted every time the reserves of a pair change, with the new ones
+    /// @dev Tokens are normalized (tokenA < tokenB) and the reserves follow them
+    event Sync(address indexed tokenA, address indexed tokenB, uint reserveA, uint reserveB);
+
     /// @notice Emitted when a swap is executed
+    /// @dev Covers the whole path; every hop also emits its own Swap
     event SwapExecuted(address indexed from, address indexed to, address[] path, uint[] amounts);
 
+    /// @notice Emitted for every hop of a swap, indexed by its tokens so it can be filtered per pair
+    /// @dev amountIn is what actually reached the pair. `to` is SimpleSwap itself on intermediate hops,
+    ///      whose output stays in the contract for the next one.
+    event Swap(address indexed sender, address indexed tokenIn, address indexed tokenOut, uint amountIn, uint amountOut, address to);
+
+    /// @notice Sends tokens of a pair to `to` before being paid and calls ISimpleSwapCallee(to).simpleSwapCall.
+    ///         When the callback returns, the pair must have received enough of either token to keep the constant
+    ///         product, with the swap fee charged on what came in. Paying back the borrowed token works as a flash loan.
+    /// @dev The nonReentrant lock is held during the callback, so the receiver can't trade with SimpleSwap meanwhile
+    ///      and the balances of this contract can only change by what the receiver sends back.
+    ///      Reserves are updated after the callback, so views like getPrice still show the old ones during it.
+    /// @param tokenA Address of token A
+    /// @param tokenB Address of token B
+    /// @param amountAOut Amount of token A to send
+    /// @param amountBOut Amount of token B to send
+    /// @param to Receiver of the tokens and of the callback
+    /// @param data Arbitrary data passed to the callback
+    function flashSwap(
+        address tokenA,
+        address tokenB,
+        uint amountAOut,
+        uint amountBOut,
+        address to,
+        bytes calldata data
+    ) external nonReentrant whenNotPaused {
+        require(amountAOut > 0 || amountBOut > 0, "Zero amountOut");
+        TokenPairData memory pair = reorderTokens(tokenA, tokenB);
+        require(pair.liquidityToken != address(0), "Pair does not exist");
+        pair.amountA = pair.reversed ? amountBOut : amountAOut;
+        pair.amountB = pair.reversed ? amountAOut : amountBOut;
+        require(pair.amountA < pair.reserveA && pair.amountB < pair.reserveB, "Insufficient reserves");
+
+        // Other pairs can hold the same tokens, so I only look at how the balances move during the callback
+        uint balanceA = IERC20(pair.tokenA).balanceOf(address(this));
+        uint balanceB = IERC20(pair.tokenB).balanceOf(address(this));
+        if (pair.amountA > 0) IERC20(pair.tokenA).safeTransfer(to, pair.amountA);
+        if (pair.amountB > 0) IERC20(pair.tokenB).safeTransfer(to, pair.amountB);
+
+        ISimpleSwapCallee(to).simpleSwapCall(msg.sender, amountAOut, amountBOut, data);
+
+        (uint amountAIn, uint amountBIn) = flashSwapSettle(pair, balanceA, balanceB);
+        emit FlashSwap(msg.sender, to, pair.tokenA, pair.tokenB, pair.amountA, pair.amountB, amountAIn, amountBIn);
+    }
+
+    /// @dev Measures what the flash swap receiver paid, checks the constant product with the fee and updates the reserves.
+    ///      Extracted into a separate function to avoid "Stack too deep" compiler errors.
+    function flashSwapSettle(
+        TokenPairData memory data,
+        uint balanceABefore,
+        uint balanceBBefore
+    ) internal returns (uint amountAIn, uint amountBIn) {
+        uint balanceA = IERC20(data.tokenA).balanceOf(address(this));
+        uint balanceB = IERC20(data.tokenB).balanceOf(address(this));
+        amountAIn = balanceA + data.amountA > balanceABefore ? balanceA + data.amountA - balanceABefore : 0;
+        amountBIn = balanceB + data.amountB > balanceBBefore ? balanceB + data.amountB - balanceBBefore : 0;
+
+        uint newReserveA = data.reserveA - data.amountA + amountAIn;
+        uint newReserveB = data.reserveB - data.amountB + amountBIn;
+
+        // Same rule as getAmountOut: the reserves, discounting the fee on what came in, must keep the product
+        require(
+            (newReserveA * FEE_DENOMINATOR - amountAIn * data.swapFee) * (newReserveB * FEE_DENOMINATOR - amountBIn * data.swapFee)
+                >= data.reserveA * data.reserveB * FEE_DENOMINATOR * FEE_DENOMINATOR,
+            "Invariant violated"
+        );
+
+        uint protocolFeeA = payProtocolFee(data.tokenA, amountAIn, data.swapFee);
+        uint protocolFeeB = payProtocolFee(data.tokenB, amountBIn, data.swapFee);
+        updateOracle(data);
+        setReserves(data, newReserveA - protocolFeeA, newReserveB - protocolFeeB);
+    }
+
+    /// @notice Emitted when a flash swap is settled
+    /// @dev Tokens are normalized (tokenA < tokenB) and the amounts follow that order
+    event FlashSwap(
+        address indexed sender,
+        address indexed to,
+        address tokenA,
+        address tokenB,
+        uint amountAOut,
+        uint amountBOut,
+        uint amountAIn,
+        uint amountBIn
+    );
+
+    /// @notice Sends to `to` whatever this contract holds of the pair's tokens above the reserves of all their pairs
+    /// @dev Recovers tokens sent directly to the contract. Use sync instead to add them to the pair.
+    /// @param tokenA Address of token A
+    /// @param tokenB Address of token B
+    /// @param to Recipient of the excess tokens
+    function skim(address tokenA, address tokenB, address to) external nonReentrant {
+        TokenPairData memory data = reorderTokens(tokenA, tokenB);
+        require(data.liquidityToken != address(0), "Pair does not exist");
+        uint excessA = excess(data.tokenA);
+        uint excessB = excess(data.tokenB);
+        if (excessA > 0) IERC20(data.tokenA).safeTransfer(to, excessA);
+        if (excessB > 0) IERC20(data.tokenB).safeTransfer(to, excessB);
+    }
+
+    /// @notice Makes the reserves of a pair match this contract's balances
+    /// @dev The pair takes everything its tokens have above totalReserve. When a token holds less (a negative rebase)
+    ///      this reverts instead: the loss belongs to every pair of that token, and the caller would pick who takes it.
+    ///      A pair without liquidity tokens can't be synced: the reserves would go to whoever adds liquidity next,
+    ///      priced at whatever ratio was sent. Neither can a reserve be left empty, which would lock the pair.
+    /// @param tokenA Address of token A
+    /// @param tokenB Address of token B
+    function sync(address tokenA, address tokenB) external nonReentrant {
+        TokenPairData memory data = reorderTokens(tokenA, tokenB);
+        require(data.liquidityToken != address(0), "Pair does not exist");
+        require(LiquidityToken(data.liquidityToken).totalSupply() > 0, "No liquidity");
+        uint reserveA = syncedReserve(data.tokenA, data.reserveA);
+        uint reserveB = syncedReserve(data.tokenB, data.reserveB);
+        require(reserveA > 0 && reserveB > 0, "Invalid reserve state");
+        updateOracle(data);
+        setReserves(data, reserveA, reserveB);
+    }
+
+    /// @dev Reserve a pair would have after taking the surplus of `token`
+    function syncedReserve(address token, uint currentReserve) internal view returns (uint) {
+        uint balance = IERC20(token).balanceOf(address(this));
+        uint total = totalReserve[token];
+        require(balance >= total, "Balance below reserves");
+        return currentReserve + balance - total;
+    }
+
+    /// @dev What this contract holds of `token` above the reserves of all its pairs
+    function excess(address token) internal view returns (uint) {
+        uint balance = IERC20(token).balanceOf(address(this));
+        uint total = totalReserve[token];
+        return balance > total ? balance - total : 0;
+    }
+
+    /// @notice Same as addLiquidity, but approves both tokens with EIP-2612 signatures in the same transaction
+    /// @param permitA Signature allowing this contract to spend token A
+    /// @param permitB Signature allowing this contract to spend token B
+    /// @dev See addLiquidity for the rest of the parameters and return values
+    function addLiquidityWithPermit(
+        address tokenA,
+        address tokenB,
+        uint amountADesired,
+        uint amountBDesired,
+        uint amountAMin,
+        uint amountBMin,
+        address to,
+        uint deadline,
+        PermitData calldata permitA,
+        PermitData calldata permitB
+    ) external returns (uint amountA, uint amountB, uint liquidity) {
+        consumePermit(tokenA, msg.sender, address(this), permitA);
+        consumePermit(tokenB, msg.sender, address(this), permitB);
+        return addLiquidity(tokenA, tokenB, amountADesired, amountBDesired, amountAMin, amountBMin, to, deadline);
+    }
+
+    /// @notice Removes liquidity of `holder` on their behalf, e.g. from a relayer or a router, with an EIP-2612
+    ///         signature of the holder that allows the caller to spend their liquidity tokens
+    /// @dev The permit names the caller as spender, so only who the holder signed for can remove it and pick `to`
+    /// @param holder Holder of the liquidity tokens, who signed the permit
+    /// @param permit Signature allowing the caller to spend the holder's liquidity tokens
+    /// @dev See removeLiquidity for the rest of the parameters and return values
+    function removeLiquidityWithPermit(
+        address tokenA,
+        address tokenB,
+        uint liquidity,
+        uint amountAMin,
+        uint amountBMin,
+        address holder,
+        address to,
+        uint deadline,
+        PermitData calldata permit
+    ) external nonReentrant isNotExpired(deadline) returns (uint amountA, uint amountB) {
+        consumePermit(liquidityToken[tokenA][tokenB], holder, msg.sender, permit);
+        return removeLiquidityTransact(holder, tokenA, tokenB, liquidity, amountAMin, amountBMin, to);
+    }
+
+    /// @notice Same as swapExactTokensForTokens, but approves the input token with an EIP-2612 signature in the same transaction
+    /// @param permit Signature allowing this contract to spend path[0]
+    /// @dev See swapExactTokensForTokens for the rest of the parameters and return values
+    function swapExactTokensForTokensWithPermit(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline,
+        PermitData calldata permit
+    ) external returns (uint[] memory amounts) {
+        require(path.length >= 2, "Invalid path");
+        consumePermit(path[0], msg.sender, address(this), permit);
+        return swapExactTokensForTokens(amountIn, amountOutMin, path, to, deadline);
+    }
+
+    /// @notice Runs several calls to this contract for msg.sender in one transaction, e.g. removeLiquidity, a swap and
+    ///         addLiquidity to rebalance. If any of them reverts, the whole batch does, with its revert reason.
+    /// @dev Every call is a delegatecall to this contract, so msg.sender stays the caller. The batch doesn't hold the
+    ///      nonReentrant lock itself: each call takes and releases it as usual, so they run one after the other,
+    ///      but a batch can't be started while the lock is held, e.g. from a flash swap callback.
+    /// @param calls ABI-encoded calls to functions of this contract
+    /// @return results ABI-encoded return data of each call
+    function multicall(bytes[] calldata calls) external returns (bytes[] memory results) {
+        require(!locked, "No reentrancy");
+        results = new bytes[](calls.length);
+        for (uint i = 0; i < calls.length; i++) {
+            results[i] = Address.functionDelegateCall(address(this), calls[i]);
+        }
+    }
+
+    /// @dev Submits an EIP-2612 permit of `holder` for `spender`. If it fails (e.g. someone front-ran the same
+    ///      signature), the call only goes on when the allowance it was meant to grant is already in place.
+    function consumePermit(address token, address holder, address spender, PermitData calldata permit) internal {
+        require(token != address(0), "Pair does not exist");
+        try IERC20Permit(token).permit(holder, spender, permit.value, permit.deadline, permit.v, permit.r, permit.s) {
+        } catch {
+            require(IERC20(token).allowance(holder, spender) >= permit.value, "Permit failed");
+        }
+    }
+
     /// @notice Gets the price of tokenA in terms of tokenB
     /// @param tokenA Address of base token
     /// @param tokenB Address of quote token
@@ -341,11 +811,273 @@ contract SimpleSwap is ERC20 {
         return (reserveB * DECIMALS_FACTOR) / reserveA;
     }
 
+    /// @notice Number of pairs registered in allPairs
+    function allPairsLength() external view returns (uint) {
+        return allPairs.length;
+    }
+
+    /// @notice Gets both reserves of a pair and when they last changed
+    /// @dev Reserves are returned in the order of the arguments. The oracle records an observation in the block of
+    ///      every reserve change, so the newest one holds the timestamp of the last update.
+    /// @param tokenA Address of token A
+    /// @param tokenB Address of token B
+    /// @return reserveA Reserve of tokenA
+    /// @return reserveB Reserve of tokenB
+    /// @return blockTimestampLast Timestamp of the block of the last update, zero if the pair does not exist
+    function getReserves(address tokenA, address tokenB) external view returns (uint reserveA, uint reserveB, uint blockTimestampLast) {
+        TokenPairData memory data = reorderTokens(tokenA, tokenB);
+        reserveA = reserve[tokenA][tokenB];
+        reserveB = reserve[tokenB][tokenA];
+        blockTimestampLast = observations[data.tokenA][data.tokenB][observationIndex[data.tokenA][data.tokenB]].timestamp;
+    }
+
+    /// @notice Gets the time-weighted average price of tokenA in terms of tokenB over the last `window` seconds
+    /// @dev Unlike getPrice, it can't be moved by a single swap: a price only weighs as much as the time it lasted
+    /// @param tokenA Address of base token
+    /// @param tokenB Address of quote token
+    /// @param window Length of the interval in seconds, ending now
+    /// @return price Average price scaled by 1e18
+    function consult(address tokenA, address tokenB, uint window) external view returns (uint price) {
+        require(window > 0, "Zero window");
+        require(window <= block.timestamp, "Window too long");
+
+        TokenPairData memory data = reorderTokens(tokenA, tokenB);
+        uint count = observationCount[data.tokenA][data.tokenB];
+        require(count > 0, "No observations");
+
+        // The oldest observation must be at or before the start of the window
+        uint oldestIndex = count < OBSERVATION_CARDINALITY ? 0 : (observationIndex[data.tokenA][data.tokenB] + 1) % OBSERVATION_CARDINALITY;
+        require(observations[data.tokenA][data.tokenB][oldestIndex].timestamp <= block.timestamp - window, "Window too long");
+
+        (uint priceAStart, uint priceBStart) = cumulativePricesAt(data, block.timestamp - window);
+        (uint priceAEnd, uint priceBEnd) = cumulativePricesAt(data, block.timestamp);
+
+        // Cumulative prices are allowed to wrap around, only their difference matters
+        unchecked {
+            price = data.reversed ? (priceBEnd - priceBStart) / window : (priceAEnd - priceAStart) / window;
+        }
+    }
+
+    /// @dev Records the cumulative prices of a pair before its reserves change, at most once per block.
+    ///      Must be called with the reserves still holding their previous values.
+    function updateOracle(TokenPairData memory data) internal {
+        uint count = observationCount[data.tokenA][data.tokenB];
+        uint index = observationIndex[data.tokenA][data.tokenB];
+        Observation memory last = observations[data.tokenA][data.tokenB][index];
+
+        if (count > 0 && last.timestamp == block.timestamp) {
+            return;
+        }
+
+        if (count > 0) {
+            (last.priceACumulative, last.priceBCumulative) = accumulatePrices(last, data.reserveA, data.reserveB, block.timestamp);
+            index = (index + 1) % OBSERVATION_CARDINALITY;
+        }
+        last.timestamp = block.timestamp;
+
+        observations[data.tokenA][data.tokenB][index] = last;
+        observationIndex[data.tokenA][data.tokenB] = index;
+        if (count < OBSERVATION_CARDINALITY) {
+            observationCount[data.tokenA][data.tokenB] = count + 1;
+        }
+    }
+
+    /// @dev Extends an observation's cumulative prices up to `timestamp`, assuming the given reserves held since it was taken
+    function accumulatePrices(
+        Observation memory observation,
+        uint reserveA,
+        uint reserveB,
+        uint timestamp
+    ) internal pure returns (uint priceACumulative, uint priceBCumulative) {
+        priceACumulative = observation.priceACumulative;
+        priceBCumulative = observation.priceBCumulative;
+        if (reserveA == 0 || reserveB == 0) {
+            return (priceACumulative, priceBCumulative);
+        }
+        uint elapsed = timestamp - observation.timestamp;
+        unchecked {
+            priceACumulative += ((reserveB * DECIMALS_FACTOR) / reserveA) * elapsed;
+            priceBCumulative += ((reserveA * DECIMALS_FACTOR) / reserveB) * elapsed;
+        }
+    }
+
+    /// @dev Computes a pair's cumulative prices at any time covered by its observations.
+    ///      Between two observations the price was constant, so the cumulative prices grow linearly and can be interpolated.
+    function cumulativePricesAt(TokenPairData memory data, uint target) internal view returns (uint priceACumulative, uint priceBCumulative) {
+        Observation[OBSERVATION_CARDINALITY] storage pairObservations = observations[data.tokenA][data.tokenB];
+        uint count = observationCount[data.tokenA][data.tokenB];
+        uint newestIndex = observationIndex[data.tokenA][data.tokenB];
+        Observation memory newest = pairObservations[newestIndex];
+
+        // After the newest observation the price is the one given by the current reserves
+        if (target >= newest.timestamp) {
+            return accumulatePrices(newest, data.reserveA, data.reserveB, target);
+        }
+
+        // Binary search for the last observation at or before target, counting positions from the oldest one
+        uint oldestIndex = count < OBSERVATION_CARDINALITY ? 0 : (newestIndex + 1) % OBSERVATION_CARDINALITY;
+        uint low = 0;
+        uint high = count - 1;
+        while (low < high) {
+            uint mid = (low + high + 1) / 2;
+            if (pairObservations[(oldestIndex + mid) % OBSERVATION_CARDINALITY].timestamp <= target) {
+                low = mid;
+            } else {
+                high = mid - 1;
+            }
+        }
+
+        Observation memory before = pairObservations[(oldestIndex + low) % OBSERVATION_CARDINALITY];
+        Observation memory next = pairObservations[(oldestIndex + low + 1) % OBSERVATION_CARDINALITY];
+        uint elapsed = target - before.timestamp;
+        uint interval = next.timestamp - before.timestamp;
+
+        unchecked {
+            priceACumulative = before.priceACumulative + ((next.priceACumulative - before.priceACumulative) / interval) * elapsed;
+            priceBCumulative = before.priceBCumulative + ((next.priceBCumulative - before.priceBCumulative) / interval) * elapsed;
+        }
+    }
+
     /// @notice Estimates output amount for given input using constant product formula
-    function getAmountOut(uint amountIn, uint reserveIn, uint reserveOut) external pure returns (uint amountOut) {
-        return (amountIn * reserveOut) / (reserveIn + amountIn);
+    /// @param amountIn Amount of input tokens
+    /// @param reserveIn Reserve of the input token
+    /// @param reserveOut Reserve of the output token
+    /// @param fee Swap fee of the pair in basis points (see swapFee)
+    /// @return amountOut Amount of output tokens after the fee
+    function getAmountOut(uint amountIn, uint reserveIn, uint reserveOut, uint fee) public pure returns (uint amountOut) {
+        uint amountInWithFee = amountIn * (FEE_DENOMINATOR - fee);
+        return (amountInWithFee * reserveOut) / (reserveIn * FEE_DENOMINATOR + amountInWithFee);
+    }
+
+    /// @notice Estimates input amount required for a given output using constant product formula
+    /// @param amountOut Amount of output tokens
+    /// @param reserveIn Reserve of the input token
+    /// @param reserveOut Reserve of the output token
+    /// @param fee Swap fee of the pair in basis points (see swapFee)
+    /// @return amountIn Amount of input tokens including the fee, rounded up in favor of the pool
+    function getAmountIn(uint amountOut, uint reserveIn, uint reserveOut, uint fee) public pure returns (uint amountIn) {
+        require(amountOut < reserveOut, "Insufficient reserves");
+        uint numerator = reserveIn * amountOut * FEE_DENOMINATOR;
+        uint denominator = (reserveOut - amountOut) * (FEE_DENOMINATOR - fee);
+        return (numerator / denominator) + 1;
     }
 
+    /// @notice Quotes a swap of an exact input along a path, hop by hop, including each pair's swap fee
+    /// @param amountIn Amount of input tokens
+    /// @param path Tokens involved in swap [tokenIn, ...intermediate tokens, tokenOut]
+    /// @return amounts Amount of every token in the path, from amountIn to amountOut
+    function getAmountsOut(uint amountIn, address[] memory path) public view returns (uint[] memory amounts) {
+        require(path.length >= 2, "Invalid path");
+
+        amounts = new uint[](path.length);
+        amounts[0] = amountIn;
+
+        for (uint i = 0; i < path.length - 1; i++) {
+            TokenPairData memory data = reorderTokens(path[i], path[i + 1]);
+            require(data.reserveA > 0 && data.reserveB > 0, "Empty reserves");
+
+            amounts[i + 1] = data.reversed
+                ? getAmountOut(amounts[i], data.reserveB, data.reserveA, data.swapFee)
+                : getAmountOut(amounts[i], data.reserveA, data.reserveB, data.swapFee);
+        }
+    }
+
+    /// @notice Quotes a swap of an exact output along a path, hop by hop from the last pair, including each pair's swap fee
+    /// @param amountOut Amount of output tokens
+    /// @param path Tokens involved in swap [tokenIn, ...intermediate tokens, tokenOut]
+    /// @return amounts Amount of every token in the path, from amountIn to amountOut
+    function getAmountsIn(uint amountOut, address[] memory path) public view returns (uint[] memory amounts) {
+        require(path.length >= 2, "Invalid path");
+
+        amounts = new uint[](path.length);
+        amounts[path.length - 1] = amountOut;
+
+        for (uint i = path.length - 1; i > 0; i--) {
+            TokenPairData memory data = reorderTokens(path[i - 1], path[i]);
+            require(data.reserveA > 0 && data.reserveB > 0, "Empty reserves");
+
+            amounts[i - 1] = data.reversed
+                ? getAmountIn(amounts[i], data.reserveB, data.reserveA, data.swapFee)
+                : getAmountIn(amounts[i], data.reserveA, data.reserveB, data.swapFee);
+        }
+    }
+
+    /// @notice Sets the swap fee of an existing pair
+    /// @param tokenA Address of token A
+    /// @param tokenB Address of token B
+    /// @param fee New swap fee in basis points
+    function setSwapFee(address tokenA, address tokenB, uint fee) external onlyOwner {
+        require(fee <= MAX_SWAP_FEE, "Fee too high");
+        TokenPairData memory data = reorderTokens(tokenA, tokenB);
+        require(data.liquidityToken != address(0), "Pair does not exist");
+
+        swapFee[data.tokenA][data.tokenB] = fee;
+        swapFee[data.tokenB][data.tokenA] = fee;
+
+        emit SwapFeeUpdated(data.tokenA, data.tokenB, fee);
+    }
+
+    /// @notice Emitted when the swap fee of a pair changes
+    event SwapFeeUpdated(address indexed tokenA, address indexed tokenB, uint fee);
+
+    /// @notice Sets the swap fee assigned to pairs created from now on
+    /// @param fee New default swap fee in basis points
+    function setDefaultSwapFee(uint fee) external onlyOwner {
+        require(fee <= MAX_SWAP_FEE, "Fee too high");
+        defaultSwapFee = fee;
+        emit DefaultSwapFeeUpdated(fee);
+    }
+
+    /// @notice Emitted when the default swap fee changes
+    event DefaultSwapFeeUpdated(uint fee);
+
+    /// @notice Turns the protocol fee on or off
+    /// @param recipient Receiver of the protocol cut, or the zero address to turn it off
+    /// @param share Share of every swap fee sent to recipient, in basis points of the fee
+    function setProtocolFee(address recipient, uint share) external onlyOwner {
+        require(share <= FEE_DENOMINATOR, "Share too high");
+        require(recipient != address(0) || share == 0, "Invalid fee recipient");
+        feeRecipient = recipient;
+        protocolFeeShare = share;
+        emit ProtocolFeeUpdated(recipient, share);
+    }
+
+    /// @notice Emitted when the protocol fee recipient or share changes
+    event ProtocolFeeUpdated(address indexed recipient, uint share);
+
+    /// @notice Stops swaps, flash swaps and new liquidity until unpause is called; removing liquidity stays open
+    /// @dev Emits Paused
+    function pause() external onlyOwner {
+        _pause();
+    }
+
+    /// @notice Resumes trading after a pause
+    /// @dev Emits Unpaused
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+
+    /// @notice Turns the token allowlist on or off. Pairs that already exist can still be traded and withdrawn from
+    /// @param enabled Whether addLiquidity only accepts allowlisted tokens
+    function setAllowlistEnabled(bool enabled) external onlyOwner {
+        allowlistEnabled = enabled;
+        emit AllowlistEnabledUpdated(enabled);
+    }
+
+    /// @notice Emitted when the token allowlist is turned on or off
+    event AllowlistEnabledUpdated(bool enabled);
+
+    /// @notice Adds a token to the allowlist or removes it
+    /// @param token Address of the token
+    /// @param allowed Whether the token can receive liquidity while the allowlist is enabled
+    function setTokenAllowed(address token, bool allowed) external onlyOwner {
+        isTokenAllowed[token] = allowed;
+        emit TokenAllowedUpdated(token, allowed);
+    }
+
+    /// @notice Emitted when a token is added to or removed from the allowlist
+    event TokenAllowedUpdated(address indexed token, bool allowed);
+
     /// @dev Computes integer square root using Babylonian method to follow Uniswap documentation
     function sqrt(uint256 x) internal pure returns (uint256) {
         if (x == 0 || x == 1) return x;
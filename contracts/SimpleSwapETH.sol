@@ -0,0 +1,159 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {IWETH} from "./IWETH.sol";
+import {SimpleSwap} from "./SimpleSwap.sol";
+
+using SafeERC20 for IERC20;
+
+/// @title SimpleSwapETH
+/// @author Nahuel Ruiz Mattar
+/// @notice ETH entry points for SimpleSwap: it wraps and unwraps ETH through WETH in the same transaction
+/// @dev SimpleSwap only deals with ERC20s and pulls tokens from msg.sender, so this router takes the user's tokens,
+///      trades with SimpleSwap on its own behalf and forwards the result. It never keeps a balance between transactions.
+contract SimpleSwapETH {
+
+    /// @notice SimpleSwap instance this router trades with
+    SimpleSwap public immutable simpleSwap;
+
+    /// @notice WETH contract used to wrap and unwrap ETH
+    IWETH public immutable WETH;
+
+    /// @notice Emitted for every swap made through this router, with the user as the sender
+    /// @dev SimpleSwap logs the swap with this router as the sender (and as the recipient, when selling for ETH),
+    ///      so this event, with the same signature, is where a user's ETH swaps can be found
+    event SwapExecuted(address indexed from, address indexed to, address[] path, uint[] amounts);
+
+    /// @notice Initializes the router
+    /// @param _simpleSwap Address of SimpleSwap
+    /// @param _weth Address of WETH
+    constructor(address _simpleSwap, address _weth) {
+        simpleSwap = SimpleSwap(_simpleSwap);
+        WETH = IWETH(_weth);
+    }
+
+    /// @dev Only WETH sends ETH here, when unwrapping
+    receive() external payable {
+        require(msg.sender == address(WETH), "Only WETH");
+    }
+
+    /// @notice Swaps the ETH sent for as many tokens as possible along the path
+    /// @param amountOutMin Minimum amount of output tokens to receive
+    /// @param path Route of the swap; it must start with WETH
+    /// @param to Recipient of output tokens
+    /// @param deadline Latest valid time for this transaction
+    /// @return amounts Amounts of every token along the path
+    function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline)
+        external
+        payable
+        returns (uint[] memory amounts)
+    {
+        require(path[0] == address(WETH), "Path must start with WETH");
+        WETH.deposit{value: msg.value}();
+        IERC20(address(WETH)).forceApprove(address(simpleSwap), msg.value);
+        amounts = simpleSwap.swapExactTokensForTokens(msg.value, amountOutMin, path, to, deadline);
+        emit SwapExecuted(msg.sender, to, path, amounts);
+    }
+
+    /// @notice Swaps an exact amount of tokens for as much ETH as possible along the path
+    /// @dev The caller must approve this router, not SimpleSwap, for amountIn
+    /// @param amountIn Amount of input tokens
+    /// @param amountOutMin Minimum amount of ETH to receive
+    /// @param path Route of the swap; it must end with WETH
+    /// @param to Recipient of the ETH
+    /// @param deadline Latest valid time for this transaction
+    /// @return amounts Amounts of every token along the path
+    function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline)
+        external
+        returns (uint[] memory amounts)
+    {
+        require(path[path.length - 1] == address(WETH), "Path must end with WETH");
+        IERC20(path[0]).safeTransferFrom(msg.sender, address(this), amountIn);
+        IERC20(path[0]).forceApprove(address(simpleSwap), amountIn);
+        amounts = simpleSwap.swapExactTokensForTokens(amountIn, amountOutMin, path, address(this), deadline);
+        unwrapTo(to, amounts[amounts.length - 1]);
+        emit SwapExecuted(msg.sender, to, path, amounts);
+    }
+
+    /// @notice Adds liquidity to a token/WETH pair with the ETH sent
+    /// @dev The caller must approve this router for amountTokenDesired. Whatever the pool doesn't take is refunded.
+    /// @param token Address of the token paired with WETH
+    /// @param amountTokenDesired Amount of token to add
+    /// @param amountTokenMin Minimum amount of token to accept
+    /// @param amountETHMin Minimum amount of ETH to accept
+    /// @param to Recipient of liquidity tokens
+    /// @param deadline Latest valid time for this transaction
+    /// @return amountToken Actual amount of token added
+    /// @return amountETH Actual amount of ETH added
+    /// @return liquidity Amount of liquidity tokens minted
+    function addLiquidityETH(
+        address token,
+        uint amountTokenDesired,
+        uint amountTokenMin,
+        uint amountETHMin,
+        address to,
+        uint deadline
+    )
+        external
+        payable
+        returns (uint amountToken, uint amountETH, uint liquidity)
+    {
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amountTokenDesired);
+        WETH.deposit{value: msg.value}();
+        IERC20(token).forceApprove(address(simpleSwap), amountTokenDesired);
+        IERC20(address(WETH)).forceApprove(address(simpleSwap), msg.value);
+
+        (amountToken, amountETH, liquidity) = simpleSwap.addLiquidity(
+            token, address(WETH), amountTokenDesired, msg.value, amountTokenMin, amountETHMin, to, deadline
+        );
+
+        if (amountTokenDesired > amountToken) {
+            IERC20(token).forceApprove(address(simpleSwap), 0);
+            IERC20(token).safeTransfer(msg.sender, amountTokenDesired - amountToken);
+        }
+        if (msg.value > amountETH) {
+            IERC20(address(WETH)).forceApprove(address(simpleSwap), 0);
+            unwrapTo(msg.sender, msg.value - amountETH);
+        }
+    }
+
+    /// @notice Removes liquidity from a token/WETH pair and pays the WETH side in ETH
+    /// @dev SimpleSwap burns the LTK of msg.sender, so the caller must approve this router to take their LTK first
+    /// @param token Address of the token paired with WETH
+    /// @param liquidity Amount of liquidity tokens to burn
+    /// @param amountTokenMin Minimum amount of token to receive
+    /// @param amountETHMin Minimum amount of ETH to receive
+    /// @param to Recipient of the token and the ETH
+    /// @param deadline Latest valid time for this transaction
+    /// @return amountToken Amount of token received
+    /// @return amountETH Amount of ETH received
+    function removeLiquidityETH(
+        address token,
+        uint liquidity,
+        uint amountTokenMin,
+        uint amountETHMin,
+        address to,
+        uint deadline
+    )
+        external
+        returns (uint amountToken, uint amountETH)
+    {
+        address ltk = simpleSwap.liquidityToken(token, address(WETH));
+        require(ltk != address(0), "Pair does not exist");
+        IERC20(ltk).safeTransferFrom(msg.sender, address(this), liquidity);
+        (amountToken, amountETH) = simpleSwap.removeLiquidity(
+            token, address(WETH), liquidity, amountTokenMin, amountETHMin, address(this), deadline
+        );
+        IERC20(token).safeTransfer(to, amountToken);
+        unwrapTo(to, amountETH);
+    }
+
+    /// @dev Unwraps WETH held by this router and sends the ETH
+    function unwrapTo(address to, uint amount) internal {
+        WETH.withdraw(amount);
+        (bool success, ) = to.call{value: amount}("");
+        require(success, "ETH transfer failed");
+    }
+}
@@ -0,0 +1,216 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {SimpleSwap} from "./SimpleSwap.sol";
+
+using SafeERC20 for IERC20;
+
+/// @title SimpleSwapZap
+/// @author Nahuel Ruiz Mattar
+/// @notice Single-sided liquidity for SimpleSwap: zapIn adds liquidity with only one of the tokens of a pair,
+///         and zapOut removes liquidity into only one of them
+/// @dev Like the ETH router, it takes the user's tokens, trades with SimpleSwap on its own behalf and forwards the
+///      result, so it never keeps a balance between transactions. Tokens that charge a fee on transfer are not supported.
+contract SimpleSwapZap {
+
+    /// @dev Same as SimpleSwap: fees are in basis points
+    uint constant FEE_DENOMINATOR = 10_000;
+
+    /// @notice SimpleSwap instance this contract trades with
+    SimpleSwap public immutable simpleSwap;
+
+    /// @notice Initializes the zap
+    /// @param _simpleSwap Address of SimpleSwap
+    constructor(address _simpleSwap) {
+        simpleSwap = SimpleSwap(_simpleSwap);
+    }
+
+    /// @notice Adds liquidity to the tokenIn/otherToken pair with tokenIn only. The share of amountIn that keeps the
+    ///         pool ratio after the fee is swapped for otherToken, and both sides are added in the same transaction.
+    /// @dev The caller must approve this contract for amountIn. The pool rarely takes every last wei of both sides,
+    ///      so whatever it leaves is refunded to the caller.
+    /// @param tokenIn Token to deposit
+    /// @param amountIn Amount of tokenIn to deposit
+    /// @param otherToken The other token of the pair
+    /// @param minLiquidity Minimum amount of liquidity tokens to receive
+    /// @param to Recipient of liquidity tokens
+    /// @param deadline Latest valid time for this transaction
+    /// @return liquidity Amount of liquidity tokens minted
+    function zapIn(address tokenIn, uint amountIn, address otherToken, uint minLiquidity, address to, uint deadline)
+        external
+        returns (uint liquidity)
+    {
+        (uint reserveIn, , uint fee) = pairState(tokenIn, otherToken);
+        uint amountSwapped = swapAmount(amountIn, reserveIn, fee);
+        require(amountSwapped > 0 && amountSwapped < amountIn, "Amount too low");
+
+        IERC20(tokenIn).safeTransferFrom(msg.sender, address(this), amountIn);
+        uint amountOut = swapToSelf(tokenIn, otherToken, amountSwapped, deadline);
+
+        liquidity = addLiquidityAndRefund(tokenIn, otherToken, amountIn - amountSwapped, amountOut, to, deadline);
+        require(liquidity >= minLiquidity, "Slippage exceeded");
+    }
+
+    /// @notice Removes liquidity from the tokenOut/otherToken pair and swaps the otherToken side for tokenOut
+    /// @dev The caller must approve this contract to take their liquidity tokens. It swaps, so it reverts while
+    ///      SimpleSwap is paused; removeLiquidity keeps working then.
+    /// @param tokenOut Token to receive
+    /// @param otherToken The other token of the pair
+    /// @param liquidity Amount of liquidity tokens to burn
+    /// @param amountOutMin Minimum amount of tokenOut to receive
+    /// @param to Recipient of tokenOut
+    /// @param deadline Latest valid time for this transaction
+    /// @return amountOut Amount of tokenOut received
+    function zapOut(address tokenOut, address otherToken, uint liquidity, uint amountOutMin, address to, uint deadline)
+        external
+        returns (uint amountOut)
+    {
+        address ltk = simpleSwap.liquidityToken(tokenOut, otherToken);
+        require(ltk != address(0), "Pair does not exist");
+        IERC20(ltk).safeTransferFrom(msg.sender, address(this), liquidity);
+        (uint amountRemoved, uint otherRemoved) = simpleSwap.removeLiquidity(
+            tokenOut, otherToken, liquidity, 0, 0, address(this), deadline
+        );
+
+        // A small withdrawal can round the other side down to nothing, and there is nothing to swap then
+        amountOut = amountRemoved;
+        if (otherRemoved > 0) {
+            amountOut += swapToSelf(otherToken, tokenOut, otherRemoved, deadline);
+        }
+        require(amountOut >= amountOutMin, "Slippage exceeded");
+
+        IERC20(tokenOut).safeTransfer(to, amountOut);
+    }
+
+    /// @notice Quotes zapIn at the current reserves
+    /// @param tokenIn Token to deposit
+    /// @param amountIn Amount of tokenIn to deposit
+    /// @param otherToken The other token of the pair
+    /// @return amountSwapped Share of amountIn swapped for otherToken
+    /// @return amountOut Amount of otherToken the swap returns
+    /// @return liquidity Amount of liquidity tokens that would be minted
+    function quoteZapIn(address tokenIn, uint amountIn, address otherToken)
+        external
+        view
+        returns (uint amountSwapped, uint amountOut, uint liquidity)
+    {
+        (uint reserveIn, uint reserveOut, uint fee) = pairState(tokenIn, otherToken);
+        amountSwapped = swapAmount(amountIn, reserveIn, fee);
+        amountOut = simpleSwap.getAmountOut(amountSwapped, reserveIn, reserveOut, fee);
+
+        // The protocol cut of the fee leaves the reserves along with the output
+        reserveIn += amountSwapped - protocolFee(amountSwapped, fee);
+        reserveOut -= amountOut;
+        uint totalSupply = IERC20(simpleSwap.liquidityToken(tokenIn, otherToken)).totalSupply();
+
+        // addLiquidity works in SimpleSwap's order of the pair, which decides how the amounts are rounded
+        if (tokenIn < otherToken) {
+            liquidity = mintedLiquidity(amountIn - amountSwapped, amountOut, reserveIn, reserveOut, totalSupply);
+        } else {
+            liquidity = mintedLiquidity(amountOut, amountIn - amountSwapped, reserveOut, reserveIn, totalSupply);
+        }
+    }
+
+    /// @notice Quotes zapOut at the current reserves
+    /// @param tokenOut Token to receive
+    /// @param otherToken The other token of the pair
+    /// @param liquidity Amount of liquidity tokens to burn
+    /// @return amountOut Amount of tokenOut that would be received
+    function quoteZapOut(address tokenOut, address otherToken, uint liquidity) external view returns (uint amountOut) {
+        (uint reserveOut, uint reserveOther, uint fee) = pairState(tokenOut, otherToken);
+        uint totalSupply = IERC20(simpleSwap.liquidityToken(tokenOut, otherToken)).totalSupply();
+        uint amountRemoved = (liquidity * reserveOut) / totalSupply;
+        uint otherRemoved = (liquidity * reserveOther) / totalSupply;
+
+        amountOut = amountRemoved + simpleSwap.getAmountOut(
+            otherRemoved, reserveOther - otherRemoved, reserveOut - amountRemoved, fee
+        );
+    }
+
+    /// @notice Share of amountIn to swap so that what is left and what the swap returns match the pool ratio
+    /// @dev Solves (amountIn - s) / (reserveIn + s) == amountOut(s) / (reserveOut - amountOut(s)) for s, with the
+    ///      swap fee f in basis points: s = (sqrt(((2F - f) * R)^2 + 4 * (F - f) * F * A * R) - (2F - f) * R) / (2 * (F - f)).
+    ///      The protocol cut of the fee is ignored, so with a protocol fee a little dust is refunded.
+    /// @param amountIn Amount of the token deposited
+    /// @param reserveIn Reserve of that token in the pair
+    /// @param fee Swap fee of the pair, in basis points
+    function swapAmount(uint amountIn, uint reserveIn, uint fee) public pure returns (uint) {
+        uint b = (2 * FEE_DENOMINATOR - fee) * reserveIn;
+        uint c = 4 * (FEE_DENOMINATOR - fee) * FEE_DENOMINATOR * amountIn * reserveIn;
+        return (Math.sqrt(b * b + c) - b) / (2 * (FEE_DENOMINATOR - fee));
+    }
+
+    /// @dev Reserves of the pair in the given order and its swap fee. The pair must hold liquidity.
+    function pairState(address token, address otherToken) internal view returns (uint reserve, uint otherReserve, uint fee) {
+        require(token != otherToken, "Tokens must differ");
+        (reserve, otherReserve, ) = simpleSwap.getReserves(token, otherToken);
+        require(reserve > 0 && otherReserve > 0, "Insufficient reserves");
+        fee = simpleSwap.swapFee(token, otherToken);
+    }
+
+    /// @dev Protocol cut SimpleSwap takes out of the fee of a swap, as in SimpleSwap.payProtocolFee
+    function protocolFee(uint amountIn, uint fee) internal view returns (uint) {
+        if (simpleSwap.feeRecipient() == address(0)) {
+            return 0;
+        }
+        return (amountIn * fee * simpleSwap.protocolFeeShare()) / (FEE_DENOMINATOR * FEE_DENOMINATOR);
+    }
+
+    /// @dev Liquidity SimpleSwap.addLiquidity mints for the desired amounts of an existing pair, tokens in its order
+    function mintedLiquidity(uint amountADesired, uint amountBDesired, uint reserveA, uint reserveB, uint totalSupply)
+        internal
+        pure
+        returns (uint)
+    {
+        uint amountA = (amountBDesired * reserveA) / reserveB;
+        uint amountB = amountBDesired;
+        if (amountA > amountADesired) {
+            amountA = amountADesired;
+            amountB = (amountADesired * reserveB) / reserveA;
+        }
+        return Math.min((amountA * totalSupply) / reserveA, (amountB * totalSupply) / reserveB);
+    }
+
+    /// @dev Swaps tokens held by this contract and keeps the output here. Slippage is checked by the caller
+    ///      against the final result instead.
+    function swapToSelf(address tokenIn, address tokenOut, uint amountIn, uint deadline) internal returns (uint amountOut) {
+        address[] memory path = new address[](2);
+        path[0] = tokenIn;
+        path[1] = tokenOut;
+        IERC20(tokenIn).forceApprove(address(simpleSwap), amountIn);
+        amountOut = simpleSwap.swapExactTokensForTokens(amountIn, 1, path, address(this), deadline)[1];
+    }
+
+    /// @dev Adds liquidity with tokens held by this contract and refunds the caller what the pool didn't take.
+    ///      Extracted into a separate function to avoid "Stack too deep" compiler errors.
+    function addLiquidityAndRefund(
+        address tokenA,
+        address tokenB,
+        uint amountADesired,
+        uint amountBDesired,
+        address to,
+        uint deadline
+    ) internal returns (uint liquidity) {
+        IERC20(tokenA).forceApprove(address(simpleSwap), amountADesired);
+        IERC20(tokenB).forceApprove(address(simpleSwap), amountBDesired);
+        uint amountA;
+        uint amountB;
+        (amountA, amountB, liquidity) = simpleSwap.addLiquidity(
+            tokenA, tokenB, amountADesired, amountBDesired, 0, 0, to, deadline
+        );
+
+        refund(tokenA, amountADesired - amountA);
+        refund(tokenB, amountBDesired - amountB);
+    }
+
+    /// @dev Sends the caller what SimpleSwap didn't take and clears the leftover allowance
+    function refund(address token, uint amount) internal {
+        if (amount > 0) {
+            IERC20(token).forceApprove(address(simpleSwap), 0);
+            IERC20(token).safeTransfer(msg.sender, amount);
+        }
+    }
+}
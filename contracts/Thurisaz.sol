@@ -16,4 +16,10 @@ contract Thurisaz is ERC20, Ownable, ERC20Permit {
     function mint(address to, uint256 amount) public onlyOwner {
         _mint(to, amount);
     }
+
+    function mintBatch(address[] calldata to, uint256 amount) public onlyOwner {
+        for (uint256 i = 0; i < to.length; i++) {
+            _mint(to[i], amount);
+        }
+    }
 }
\ No newline at end of file
@@ -0,0 +1,38 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {ISimpleSwapCallee} from "../ISimpleSwapCallee.sol";
+import {SimpleSwap} from "../SimpleSwap.sol";
+
+/// @title FlashBorrowerMock
+/// @notice Flash swap receiver for tests: it pays back whatever it's told to and can try to reenter SimpleSwap
+contract FlashBorrowerMock is ISimpleSwapCallee {
+    SimpleSwap public immutable simpleSwap;
+
+    /// @notice Amounts received in the last callback, so tests can check them
+    uint public lastAmountAOut;
+    uint public lastAmountBOut;
+
+    constructor(address _simpleSwap) {
+        simpleSwap = SimpleSwap(_simpleSwap);
+    }
+
+    /// @param data abi.encode(repayToken, repayAmount, reenter)
+    function borrow(address tokenA, address tokenB, uint amountAOut, uint amountBOut, bytes calldata data) external {
+        simpleSwap.flashSwap(tokenA, tokenB, amountAOut, amountBOut, address(this), data);
+    }
+
+    function simpleSwapCall(address, uint amountAOut, uint amountBOut, bytes calldata data) external {
+        require(msg.sender == address(simpleSwap), "Unauthorized");
+        lastAmountAOut = amountAOut;
+        lastAmountBOut = amountBOut;
+
+        (address repayToken, uint repayAmount, bool reenter) = abi.decode(data, (address, uint, bool));
+        if (reenter) {
+            // The arguments don't matter, the lock rejects the call first
+            simpleSwap.flashSwap(repayToken, address(this), 1, 0, address(this), data);
+        }
+        IERC20(repayToken).transfer(msg.sender, repayAmount);
+    }
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title RebasingTokenMock
+/// @notice Token for tests whose balances can shrink without a transfer, like a negative rebase
+contract RebasingTokenMock is ERC20 {
+    constructor() ERC20("Rebasing Token", "REB") {}
+
+    function mint(address to, uint amount) external {
+        _mint(to, amount);
+    }
+
+    function rebaseDown(address account, uint amount) external {
+        _burn(account, amount);
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+import {ERC20} from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title TaxedTokenMock
+/// @notice Fee-on-transfer token for tests: every transfer burns `taxBps` of the amount, so the receiver gets less
+contract TaxedTokenMock is ERC20 {
+    uint public immutable taxBps;
+
+    constructor(uint _taxBps) ERC20("Taxed Token", "TAX") {
+        taxBps = _taxBps;
+    }
+
+    function mint(address to, uint amount) external {
+        _mint(to, amount);
+    }
+
+    function _update(address from, address to, uint value) internal override {
+        if (from != address(0) && to != address(0)) {
+            uint tax = (value * taxBps) / 10_000;
+            super._update(from, address(0), tax);
+            value -= tax;
+        }
+        super._update(from, to, value);
+    }
+}
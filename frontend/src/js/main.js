@@ -1,153 +1,2151 @@
 
-//I set the address of SimpleSwap on Sepolia
-const contractAddress = "0xf454a45Fec441C3751D3bB335dCf5cC2eC9B88fa";
+//Custom errors that can come back from SimpleSwap, the router or the tokens they move, so ethers can decode them
+const errorAbi = [
+  "error EnforcedPause()",
+  "error OwnableUnauthorizedAccount(address account)",
+  "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+  "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)"
+];
+
 //I define the ABIs of the functions I’m going to use
 const abi = [
   "function swapExactTokensForTokens(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
-  "function getPrice(address tokenA, address tokenB) public view returns (uint price)"
+  "function getPrice(address tokenA, address tokenB) public view returns (uint price)",
+  "function swapFee(address tokenA, address tokenB) public view returns (uint)",
+  "function getAmountsOut(uint amountIn, address[] memory path) public view returns (uint[] memory amounts)",
+  "function swapTokensForExactTokens(uint amountOut, uint amountInMax, address[] calldata path, address to, uint deadline) external returns (uint[] memory amounts)",
+  "function getAmountsIn(uint amountOut, address[] memory path) public view returns (uint[] memory amounts)",
+  "function getAmountOut(uint amountIn, uint reserveIn, uint reserveOut, uint fee) public pure returns (uint amountOut)",
+  "function getAmountIn(uint amountOut, uint reserveIn, uint reserveOut, uint fee) public pure returns (uint amountIn)",
+  "function addLiquidity(address tokenA, address tokenB, uint amountADesired, uint amountBDesired, uint amountAMin, uint amountBMin, address to, uint deadline) external returns (uint amountA, uint amountB, uint liquidity)",
+  "function removeLiquidity(address tokenA, address tokenB, uint liquidity, uint amountAMin, uint amountBMin, address to, uint deadline) external returns (uint amountA, uint amountB)",
+  "function reserve(address tokenA, address tokenB) public view returns (uint)",
+  "function liquidityToken(address tokenA, address tokenB) public view returns (address)",
+  "function getReserves(address tokenA, address tokenB) external view returns (uint reserveA, uint reserveB, uint blockTimestampLast)",
+  "function paused() public view returns (bool)",
+  "function multicall(bytes[] calldata calls) external returns (bytes[] memory results)",
+  "event SwapExecuted(address indexed from, address indexed to, address[] path, uint[] amounts)",
+  "event LiquidityAdded(address indexed from, address indexed to, address tokenA, address TokenB, uint amountA, uint amountB, uint liquidity)",
+  "event LiquidityRemoved(address indexed from, address indexed to, uint256 liquidity, address tokenA, address TokenB, uint256 amountA, uint256 amountB)",
+  "event Swap(address indexed sender, address indexed tokenIn, address indexed tokenOut, uint amountIn, uint amountOut, address to)",
+  "event Mint(address indexed sender, address indexed tokenA, address indexed tokenB, uint amountA, uint amountB, uint liquidity, address to)",
+  "event Burn(address indexed sender, address indexed tokenA, address indexed tokenB, uint amountA, uint amountB, uint liquidity, address to)",
+  "event Sync(address indexed tokenA, address indexed tokenB, uint reserveA, uint reserveB)",
+  ...errorAbi
+];
+
+//ETH entry points of the SimpleSwapETH router, which wraps and unwraps through WETH
+const routerAbi = [
+  "function swapExactETHForTokens(uint amountOutMin, address[] calldata path, address to, uint deadline) payable returns (uint[] memory amounts)",
+  "function swapExactTokensForETH(uint amountIn, uint amountOutMin, address[] calldata path, address to, uint deadline) returns (uint[] memory amounts)",
+  "event SwapExecuted(address indexed from, address indexed to, address[] path, uint[] amounts)",
+  ...errorAbi
+];
+
+//LimitOrderBook, where orders against the SimpleSwap pools are placed, filled and cancelled
+const orderBookAbi = [
+  "function placeOrder(address tokenIn, address tokenOut, uint amountIn, uint targetPrice, uint tip, uint expiry) returns (uint orderId)",
+  "function fillOrder(uint orderId) returns (uint amountOut)",
+  "function cancelOrder(uint orderId)",
+  "function canFill(uint orderId) view returns (bool)",
+  "function orders(uint orderId) view returns (address maker, address tokenIn, address tokenOut, uint amountIn, uint targetPrice, uint tip, uint expiry, uint8 status)",
+  "function getOrdersOf(address maker) view returns (uint[] memory)",
+  ...errorAbi
+];
+
+//SimpleSwapZap, which adds and removes liquidity with a single token of the pair
+const zapAbi = [
+  "function zapIn(address tokenIn, uint amountIn, address otherToken, uint minLiquidity, address to, uint deadline) returns (uint liquidity)",
+  "function zapOut(address tokenOut, address otherToken, uint liquidity, uint amountOutMin, address to, uint deadline) returns (uint amountOut)",
+  "function quoteZapIn(address tokenIn, uint amountIn, address otherToken) view returns (uint amountSwapped, uint amountOut, uint liquidity)",
+  "function quoteZapOut(address tokenOut, address otherToken, uint liquidity) view returns (uint amountOut)",
+  ...errorAbi
 ];
 
-//I set the addresses of the Tokens
-const THURISAZ = "0x2966F7783663538a1265B44d4956E2e016Fc83c6";
-const URUZ = "0x29e740c900e173EAA854818343edd9b4bE75fd41";
+//Liquidity tokens keep the default 18 decimals of ERC20, whatever the tokens of their pair use
+const LTK_DECIMALS = 18;
+
+//Status of an open order in LimitOrderBook.OrderStatus
+const ORDER_OPEN = 0n;
+
+//Standard ERC20 functions I need from the tokens, plus IERC20Metadata to show them
+const erc20Abi = [
+  "function balanceOf(address) view returns (uint)",
+  "function allowance(address owner, address spender) view returns (uint)",
+  "function approve(address spender, uint amount) returns (bool)",
+  "function totalSupply() view returns (uint)",
+  "function name() view returns (string)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)"
+];
+
+//Chains SimpleSwap is deployed on. Local deployments add their addresses in deployments/<chainId>.json (see scripts/exportFrontendConfig.js)
+const NETWORKS_URL = "/src/config/networks.json";
+const DEPLOYMENTS_URL = "/src/config/deployments";
+
+//Tokens offered in the selectors, in the Uniswap token list format (filtered by chainId)
+const TOKEN_LIST_URL = "/src/config/tokenlist.json";
+
+//Placeholder address for ETH in the selectors. SimpleSwap only sees WETH, so it's never sent to the contract.
+const NATIVE_TOKEN = "0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE";
+
+//MetaMask error code for a chain it doesn't know yet
+const UNRECOGNIZED_CHAIN = 4902;
+
+//How far back (in blocks) I look for the user's liquidity events
+const LIQUIDITY_HISTORY_BLOCKS = 10000;
+
+//Blocks per request when rebuilding the swap history from the logs; RPC providers limit how wide a range can be
+const HISTORY_PAGE_BLOCKS = 5000;
+
+//Pool analytics cover the last 7 days. The first time, I read back as many blocks as 7 days take on Ethereum (12 s each).
+const ANALYTICS_WINDOW_SECONDS = 7 * 24 * 60 * 60;
+const ANALYTICS_WINDOW_BLOCKS = ANALYTICS_WINDOW_SECONDS / 12;
+
+//Size of the price chart (SVG units)
+const CHART_WIDTH = 600;
+const CHART_HEIGHT = 220;
+const CHART_PADDING = 40;
+
+//Price impact (in basis points) above which I warn the user and ask for confirmation before swapping
+const PRICE_IMPACT_WARNING_BPS = 500n;
+
+//User settings are kept in localStorage, so they apply to every swap and liquidity action until changed
+const SETTINGS_KEY = "simpleswap:settings";
+const DEFAULT_SETTINGS = { slippage: 0.5, deadlineMinutes: 10, expertMode: false };
+
+//Bounds of the settings (slippage in %). Outside the hard ones I don't save them; outside the soft ones I just warn.
+const MAX_SLIPPAGE = 50;
+const HIGH_SLIPPAGE = 5;
+const LOW_SLIPPAGE = 0.05;
+const MAX_DEADLINE_MINUTES = 4320;
+const LONG_DEADLINE_MINUTES = 60;
+
+function loadSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY) || "{}") };
+  } catch (error) {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+function saveSettings(settings) {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+//Errors make the settings unusable; warnings are only shown
+function validateSettings(settings) {
+  const errors = [];
+  const warnings = [];
+
+  if (!Number.isFinite(settings.slippage) || settings.slippage < 0 || settings.slippage > MAX_SLIPPAGE) {
+    errors.push(`Enter a slippage tolerance between 0% and ${MAX_SLIPPAGE}%.`);
+  } else if (settings.slippage < LOW_SLIPPAGE) {
+    warnings.push("With such a low slippage tolerance your transaction may fail.");
+  } else if (settings.slippage > HIGH_SLIPPAGE) {
+    warnings.push("With such a high slippage tolerance your transaction may be frontrun.");
+  }
+
+  if (!Number.isInteger(settings.deadlineMinutes) || settings.deadlineMinutes < 1 || settings.deadlineMinutes > MAX_DEADLINE_MINUTES) {
+    errors.push(`Enter a deadline between 1 and ${MAX_DEADLINE_MINUTES} minutes.`);
+  } else if (settings.deadlineMinutes > LONG_DEADLINE_MINUTES) {
+    warnings.push("With such a long deadline a pending transaction can go through at a very outdated price.");
+  }
+
+  if (settings.expertMode) {
+    warnings.push("Expert mode is on: swaps with a high price impact won't ask for confirmation.");
+  }
+
+  return { errors, warnings };
+}
+
+//What the user can do about each revert reason of SimpleSwap and the ETH router
+const REVERT_MESSAGES = {
+  "Slippage exceeded": "The price moved beyond your slippage tolerance. Try again, or raise the tolerance in the settings.",
+  "Transaction expired": "The transaction was mined after its deadline. Try again, or give it more minutes in the settings.",
+  "Empty reserves": "This pair has no liquidity yet.",
+  "Insufficient reserves": "The pool doesn't have enough liquidity for this amount. Try a smaller one.",
+  "Pair does not exist": "There is no pool for this pair of tokens.",
+  "Invalid path": "Pick two different tokens.",
+  "Tokens must differ": "Pick two different tokens.",
+  "Zero amountIn": "Enter an amount greater than zero.",
+  "Zero amountOut": "Enter an amount greater than zero.",
+  "Zero amountOutMin": "The minimum amount to receive is zero. Enter a bigger amount.",
+  "Zero amountInMax": "The maximum amount to spend is zero. Enter a bigger amount.",
+  "Invariant violated": "The pool received less than expected. The token probably charges a fee on transfer.",
+  "Amounts do not meet constraints": "The pool ratio moved beyond your slippage tolerance. Try again, or raise the tolerance in the settings.",
+  "amountA too low": "The pool moved beyond your slippage tolerance. Try again, or raise the tolerance in the settings.",
+  "amountB too low": "The pool moved beyond your slippage tolerance. Try again, or raise the tolerance in the settings.",
+  "Liquidity too low": "The deposit is too small to mint any liquidity tokens.",
+  "Zero liquidity": "You have no liquidity to withdraw.",
+  "Token not allowed": "One of the tokens is not in the SimpleSwap allowlist, so it can't receive liquidity.",
+  "Permit failed": "The signature was not accepted. Approve the token instead.",
+  "ETH transfer failed": "The ETH could not be sent to the recipient.",
+  "Price not reached": "The pool doesn't pay the target price of this order yet.",
+  "Order expired": "This order has expired. Its maker can cancel it to get the tokens back.",
+  "Order not open": "This order was already filled or cancelled.",
+  "Not the maker": "Only the maker of an order can cancel it.",
+  "Invalid expiry": "The expiry must be in the future.",
+  "Target price too low": "At this target price the order would receive nothing. Raise the price or the amount.",
+  "Transfer fee not supported": "Limit orders don't support tokens that charge a fee on transfer."
+};
+
+//Same for the custom errors of OpenZeppelin contracts (included in the ABIs so ethers can decode them)
+const CUSTOM_ERROR_MESSAGES = {
+  EnforcedPause: "Trading is paused by the SimpleSwap admin.",
+  ERC20InsufficientBalance: "You don't have enough balance of the token.",
+  ERC20InsufficientAllowance: "The allowance is not enough. Approve the token again.",
+  OwnableUnauthorizedAccount: "Only the SimpleSwap admin can do this."
+};
+
+//Digs the revert reason out of an ethers v6 error. Wallets wrap node errors differently, so I also look at the
+//nested messages ("execution reverted: ..." or Hardhat's "reverted with reason string '...'").
+function revertReason(error) {
+  if (error.reason) {
+    return error.reason;
+  }
+  const messages = [error.info?.error?.message, error.error?.message, error.info?.error?.data?.message, error.message];
+  for (const message of messages) {
+    const match = message && message.match(/reverted with reason string '([^']*)'|execution reverted: ([^"\n]*)/);
+    if (match) {
+      return (match[1] ?? match[2]).trim();
+    }
+  }
+  return undefined;
+}
+
+//Turns any error thrown while sending or waiting for a transaction into a message the user can act on
+function describeError(error) {
+  if (error.code === "ACTION_REJECTED" || error.info?.error?.code === 4001 || error.error?.code === 4001) {
+    return "You rejected the request in the wallet.";
+  }
+  if (error.code === "INSUFFICIENT_FUNDS") {
+    return "You don't have enough ETH to pay for the gas.";
+  }
+  if (error.code === "TRANSACTION_REPLACED") {
+    return error.cancelled ? "The transaction was cancelled or replaced in the wallet." : "The transaction was sped up in the wallet.";
+  }
+  if (error.code === "NETWORK_ERROR" || error.code === "TIMEOUT") {
+    return "The network is not responding. Check your connection and try again.";
+  }
+  if (error.revert?.name && CUSTOM_ERROR_MESSAGES[error.revert.name]) {
+    return CUSTOM_ERROR_MESSAGES[error.revert.name];
+  }
+
+  const reason = revertReason(error);
+  if (reason) {
+    return REVERT_MESSAGES[reason] ?? `The contract rejected the transaction: ${reason}.`;
+  }
+  if (error.code === "CALL_EXCEPTION") {
+    return error.receipt ? "The transaction reverted on-chain." : "The transaction would fail on-chain.";
+  }
+  return error.shortMessage ?? "Something went wrong. Check the console for details.";
+}
+
+//Block explorer of the connected chain, if it has one
+let explorerUrl;
+
+//Confirmations after which I consider a transaction final
+const CONFIRMATIONS = 3;
+
+//How long a finished notification stays on screen
+const TOAST_TIMEOUT_MS = 8000;
+
+//Non-blocking notifications in a corner of the page. Passing the toast of a transaction back updates it in place,
+//so each transaction keeps a single one from submitted to confirmed.
+function showToast(kind, title, message, txHash, toast) {
+  if (!toast) {
+    toast = document.createElement("div");
+    document.getElementById("toasts").appendChild(toast);
+  }
+  toast.className = `toast ${kind}`;
+
+  const closeButton = document.createElement("button");
+  closeButton.className = "toast-close";
+  closeButton.textContent = "×";
+  closeButton.title = "Close";
+  closeButton.addEventListener("click", () => toast.remove());
+
+  const titleElement = document.createElement("strong");
+  titleElement.textContent = title;
+  const messageElement = document.createElement("p");
+  messageElement.textContent = message;
+  toast.replaceChildren(closeButton, titleElement, messageElement);
+
+  if (txHash) {
+    const hashElement = document.createElement(explorerUrl ? "a" : "span");
+    hashElement.textContent = `${txHash.slice(0, 10)}...${txHash.slice(-8)}`;
+    if (explorerUrl) {
+      hashElement.href = `${explorerUrl}/tx/${txHash}`;
+      hashElement.target = "_blank";
+      hashElement.rel = "noopener noreferrer";
+      hashElement.textContent += " ↗";
+    }
+    toast.appendChild(hashElement);
+  }
+
+  //Errors stay until closed, so they can be read
+  if (kind === "success") {
+    setTimeout(() => toast.remove(), TOAST_TIMEOUT_MS);
+  }
+  return toast;
+}
 
+//Shows an error unless runStep already did for the transaction that failed
+function reportError(title, error) {
+  if (!error.reported) {
+    showToast("error", title, describeError(error));
+  }
+}
+
+let networks;
 let provider;
 let signer;
 let contract;
+let router;
+let orderBook;
+let zap;
+
+//Addresses of the chain the wallet is connected to
+let contractAddress;
+let thurisaz;
+let uruz;
+
+//I load the chain list once. For each chain, the addresses of a local deployment take precedence over the ones in the list.
+async function loadNetworkConfig(chainId) {
+  if (!networks) {
+    networks = await (await fetch(NETWORKS_URL)).json();
+  }
+
+  const network = networks.networks[chainId];
+  if (!network) {
+    return undefined;
+  }
+
+  const deployment = await fetch(`${DEPLOYMENTS_URL}/${chainId}.json`);
+  const contracts = { ...network.contracts, ...(deployment.ok ? (await deployment.json()).contracts : {}) };
+  return contracts.simpleSwap && contracts.thurisaz && contracts.uruz ? { ...network, contracts } : undefined;
+}
+
+//An address in networks.json may still point to an older SimpleSwap, like the first one deployed on Sepolia, which
+//had no fees, getReserves, liquidity tokens per pair or multicall. Calls to them revert, so instead of failing panel
+//by panel I check the contract answers them before using it.
+async function supportsCurrentAbi(simpleSwap, tokenA, tokenB) {
+  try {
+    await Promise.all([
+      simpleSwap.getReserves(tokenA, tokenB),
+      simpleSwap.swapFee(tokenA, tokenB),
+      simpleSwap.liquidityToken(tokenA, tokenB),
+      simpleSwap.multicall.staticCall([])
+    ]);
+    return true;
+  } catch (error) {
+    console.error("SimpleSwap does not support the current ABI:", error);
+    return false;
+  }
+}
+
+//Tokens that can be picked in the swap selectors on the connected chain: the ones in the token list, the ones of the
+//deployment and the ones the user imported by address (kept in localStorage per chain)
+let tokens = [];
+
+function importedTokensKey(chainId) {
+  return `simpleswap:tokens:${chainId}`;
+}
+
+function findToken(address) {
+  return tokens.find((token) => token.address.toLowerCase() === address.toLowerCase());
+}
+
+//I read the symbol and decimals from the token itself (IERC20Metadata) instead of trusting the list
+async function readTokenMetadata(address) {
+  const token = new ethers.Contract(address, erc20Abi, provider);
+  const [name, symbol, decimals] = await Promise.all([token.name(), token.symbol(), token.decimals()]);
+  return { address: ethers.getAddress(address), name, symbol, decimals: Number(decimals) };
+}
+
+async function loadTokenRegistry(chainId, network) {
+  const tokenList = await (await fetch(TOKEN_LIST_URL)).json();
+  const listed = tokenList.tokens.filter((token) => token.chainId.toString() === chainId).map((token) => token.address);
+  const imported = JSON.parse(localStorage.getItem(importedTokensKey(chainId)) || "[]");
+
+  tokens = [];
+  //ETH is only offered where the router is deployed, and WETH along with it
+  const { weth, simpleSwapETH } = network.contracts;
+  if (weth && simpleSwapETH) {
+    tokens.push({ address: NATIVE_TOKEN, name: "Ether", symbol: "ETH", decimals: 18, native: true, wrapped: ethers.getAddress(weth) });
+  }
+
+  for (const address of [network.contracts.thurisaz, network.contracts.uruz, weth, ...listed, ...imported].filter(Boolean)) {
+    if (findToken(address)) {
+      continue;
+    }
+    try {
+      tokens.push(await readTokenMetadata(address));
+    } catch (err) {
+      console.warn(`Skipping ${address}, it doesn't look like an ERC-20 token on this chain:`, err);
+    }
+  }
+}
+
+//Adds a token by address to the selectors and remembers it for the next visits
+async function importToken(address) {
+  if (!ethers.isAddress(address)) {
+    throw new Error("Invalid address");
+  }
+
+  const existing = findToken(address);
+  if (existing) {
+    return existing;
+  }
+
+  const token = await readTokenMetadata(address);
+  tokens.push(token);
+
+  const chainId = (await provider.getNetwork()).chainId.toString();
+  const imported = JSON.parse(localStorage.getItem(importedTokensKey(chainId)) || "[]");
+  localStorage.setItem(importedTokensKey(chainId), JSON.stringify([...imported, token.address]));
+  return token;
+}
+
+//Address of a token inside SimpleSwap: ETH trades as WETH
+function poolAddress(token) {
+  return token.native ? token.wrapped : token.address;
+}
+
+//Prices come scaled by 1e18 from raw amounts, so tokens with different decimals need the difference added back
+function formatPrice(price, base, quote) {
+  return ethers.formatUnits(price, 18 + quote.decimals - base.decimals);
+}
+
+//Asks the wallet to move to the default chain, adding it first if the wallet doesn't know it.
+//The wallet then emits chainChanged, which reconnects everything.
+async function switchToDefaultChain() {
+  const chainId = `0x${networks.defaultChainId.toString(16)}`;
+  try {
+    await window.ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId }] });
+  } catch (error) {
+    if (error.code !== UNRECOGNIZED_CHAIN) {
+      throw error;
+    }
+    const { chainName, nativeCurrency, rpcUrls, blockExplorerUrls } = networks.networks[networks.defaultChainId];
+    await window.ethereum.request({
+      method: "wallet_addEthereumChain",
+      params: [{ chainId, chainName, nativeCurrency, rpcUrls, blockExplorerUrls }],
+    });
+  }
+}
 
 //It will only operate once the entire page has finished loading.
 document.addEventListener("DOMContentLoaded", () => {
 
+  //A provider is bound to one chain, so when the chain or the account changes I drop everything and start again
+  async function disconnect() {
+    if (provider) {
+      await provider.removeAllListeners();
+    }
+    provider = undefined;
+    signer = undefined;
+    contract = undefined;
+    router = undefined;
+    orderBook = undefined;
+    zap = undefined;
+    contractAddress = thurisaz = uruz = undefined;
+    explorerUrl = undefined;
+    swapHistory = undefined;
+    tokens = [];
+    renderTokenSelectors();
+    updateBalances();
+    document.getElementById("walletAddress").textContent = "Not connected";
+    showPaused(false);
+    refreshOpenOrders();
+    renderAnalytics();
+    document.getElementById("liquidityPosition").textContent = "";
+    document.getElementById("zapPanel").hidden = true;
+    document.getElementById("movePanel").hidden = true;
+    document.getElementById("zapQuote").textContent = "";
+    document.getElementById("quote").textContent = "";
+    for (const table of ["historyTable", "liquidityHistoryTable", "openOrdersTable"]) {
+      document.getElementById(table).querySelector("tbody").innerHTML = "";
+    }
+  }
+
+  async function connect() {
+    try {
+      //Since I'm using version 6.15.0 of ethers, I had to change the names of some methods.
+      //What I do is simply connect to the MetaMask wallet and throw an error if it doesn't have MetaMask.
+      provider = new ethers.BrowserProvider(window.ethereum);
+      await provider.send("eth_requestAccounts", []);
+
+      const { chainId } = await provider.getNetwork();
+      const network = await loadNetworkConfig(chainId.toString());
+      if (!network) {
+        const defaultName = networks.networks[networks.defaultChainId].chainName;
+        await disconnect();
+        document.getElementById("walletAddress").textContent = `SimpleSwap is not deployed on chain ${chainId}`;
+        if (confirm(`SimpleSwap is not deployed on this network (chain ${chainId}). Switch to ${defaultName}?`)) {
+          await switchToDefaultChain();
+        }
+        return;
+      }
+
+      ({ simpleSwap: contractAddress, thurisaz, uruz } = network.contracts);
+      explorerUrl = network.blockExplorerUrls?.[0];
+      signer = await provider.getSigner();
+      const address = await signer.getAddress();
+      document.getElementById("walletAddress").textContent = `Conectado: ${address} (${network.chainName})`;
+      contract = new ethers.Contract(contractAddress, abi, signer);
+      if (!(await supportsCurrentAbi(contract, thurisaz, uruz))) {
+        await disconnect();
+        const message = `The SimpleSwap contract configured for ${network.chainName} is an older version this DApp no longer supports. Deploy the current contracts and update frontend/src/config/networks.json.`;
+        document.getElementById("walletAddress").textContent = message;
+        alert(message);
+        return;
+      }
+      if (network.contracts.simpleSwapETH) {
+        router = new ethers.Contract(network.contracts.simpleSwapETH, routerAbi, signer);
+      }
+      if (network.contracts.limitOrderBook) {
+        orderBook = new ethers.Contract(network.contracts.limitOrderBook, orderBookAbi, signer);
+      }
+      if (network.contracts.simpleSwapZap) {
+        zap = new ethers.Contract(network.contracts.simpleSwapZap, zapAbi, signer);
+      }
+      document.getElementById("zapPanel").hidden = !zap;
+      //Every SimpleSwap that gets this far has multicall, which moving liquidity relies on
+      document.getElementById("movePanel").hidden = false;
+      await loadTokenRegistry(chainId.toString(), network);
+      renderTokenSelectors(thurisaz, uruz);
+      //Reserves and balances change with every block, so I refresh them each time one arrives
+      provider.on("block", () => {
+        updateQuote();
+        updateBalances();
+        updatePaused();
+        if (!document.getElementById("openOrdersPanel").hidden) {
+          refreshOpenOrders();
+        }
+        refreshAnalytics();
+      });
+      await updatePaused();
+      await updateBalances();
+      await refreshLiquidity();
+      await refreshOpenOrders();
+      await syncSwapHistory();
+      await refreshAnalytics();
+    } catch (error) {
+      console.error("Error when connecting:", error);
+      reportError("Error connecting the wallet", error);
+      await disconnect();
+    }
+  }
+
+  //The admin can pause swaps and new liquidity; removing liquidity always stays open, so that button is never disabled.
+  //Zapping out and moving liquidity swap part of what is withdrawn, so they stop along with the swaps.
+  function showPaused(paused) {
+    document.getElementById("pausedBanner").hidden = !paused;
+    for (const id of ["swapButton", "addLiquidityButton", "zapInButton", "zapOutButton", "moveLiquidityButton"]) {
+      document.getElementById(id).disabled = paused;
+    }
+  }
+
+  async function updatePaused() {
+    if (!contract) {
+      return;
+    }
+    try {
+      showPaused(await contract.paused());
+    } catch (error) {
+      //Deployments from before the admin controls have no paused(), so they can't be paused
+      showPaused(false);
+    }
+  }
+
+  //Whether the user asked to connect, so wallet events know if they have to reconnect
+  let connectRequested = false;
+
   document.getElementById("connectButton").addEventListener("click", async () => {
     if (typeof window.ethereum !== "undefined") {
-      try {
-        //Since I'm using version 6.15.0 of ethers, I had to change the names of some methods.
-        //What I do is simply connect to the MetaMask wallet and throw an error if it doesn't have MetaMask.
-        provider = new ethers.BrowserProvider(window.ethereum);
-        await provider.send("eth_requestAccounts", []);
-        signer = await provider.getSigner();
-        const address = await signer.getAddress();
-        document.getElementById("walletAddress").textContent = `Conectado: ${address}`;
-        contract = new ethers.Contract(contractAddress, abi, signer);
-      } catch (error) {
-        console.error("Error when connecting:", error);
-        alert("Error connecting the wallet.");
-        document.getElementById("walletAddress").textContent = "Not connected";
-      }
+      connectRequested = true;
+      await connect();
     } else {
       alert("Install MetaMask to continue.");
     }
   });
 
-  //With this function, I perform the token swap.
-  async function executeSwap(tokenA, tokenB) {
+  if (typeof window.ethereum !== "undefined") {
+    window.ethereum.on("chainChanged", async () => {
+      await disconnect();
+      if (connectRequested) {
+        await connect();
+      }
+    });
+
+    window.ethereum.on("accountsChanged", async (accounts) => {
+      if (!connectRequested) {
+        return;
+      }
+      await disconnect();
+      connectRequested = accounts.length > 0;
+      if (connectRequested) {
+        await connect();
+      }
+    });
+  }
+
+  //In exact output mode the same two fields mean "spend at most" and "receive exactly", so I just relabel them.
+  //The user types one of them and the other one is calculated from the quote.
+  document.getElementById("exactOutput").addEventListener("change", (event) => {
+    const exactOutput = event.target.checked;
+    const amountIn = document.getElementById("amountIn");
+    const amountOutMin = document.getElementById("amountOutMin");
+    document.getElementById("amountInLabel").textContent = exactOutput ? "Maximum amount to spend" : "Amount to exchange";
+    document.getElementById("amountOutMinLabel").textContent = exactOutput ? "Exact amount to receive" : "Minimum amount to receive";
+    amountIn.readOnly = exactOutput;
+    amountOutMin.readOnly = !exactOutput;
+    amountIn.placeholder = exactOutput ? "Calculated from the quote and slippage" : "Ex: 1.0 (decimal format)";
+    amountOutMin.placeholder = exactOutput ? "Ex: 0.9 (decimal format)" : "Calculated from the quote and slippage";
+    (exactOutput ? amountIn : amountOutMin).value = "";
+    updateQuote();
+  });
+
+  //Settings in use. While the panel has invalid values I keep using the last valid ones.
+  let settings = loadSettings();
+
+  function renderSettings() {
+    const presets = [...document.getElementById("slippageTolerance").options].map((option) => option.value);
+    const preset = presets.includes(String(settings.slippage));
+    document.getElementById("slippageTolerance").value = preset ? String(settings.slippage) : "custom";
+    document.getElementById("customSlippage").value = preset ? "" : settings.slippage;
+    document.getElementById("customSlippage").hidden = preset;
+    document.getElementById("deadlineMinutes").value = settings.deadlineMinutes;
+    document.getElementById("expertMode").checked = settings.expertMode;
+    showSettingsMessages(validateSettings(settings));
+  }
+
+  function readSettings() {
+    const selected = document.getElementById("slippageTolerance").value;
+    const slippageValue = selected === "custom" ? document.getElementById("customSlippage").value : selected;
+    return {
+      slippage: slippageValue === "" ? NaN : Number(slippageValue),
+      deadlineMinutes: Number(document.getElementById("deadlineMinutes").value),
+      expertMode: document.getElementById("expertMode").checked
+    };
+  }
+
+  function showSettingsMessages({ errors, warnings }) {
+    const element = document.getElementById("settingsWarning");
+    element.textContent = errors.length > 0
+      ? `${errors.join(" ")} Using the previous settings until then.`
+      : warnings.join(" ");
+    element.hidden = errors.length === 0 && warnings.length === 0;
+  }
+
+  function onSettingsChange() {
+    document.getElementById("customSlippage").hidden = document.getElementById("slippageTolerance").value !== "custom";
+    const newSettings = readSettings();
+    const validation = validateSettings(newSettings);
+    showSettingsMessages(validation);
+    if (validation.errors.length === 0) {
+      settings = newSettings;
+      saveSettings(settings);
+      updateQuote();
+    }
+  }
+
+  for (const id of ["slippageTolerance", "expertMode"]) {
+    document.getElementById(id).addEventListener("change", onSettingsChange);
+  }
+  for (const id of ["customSlippage", "deadlineMinutes"]) {
+    document.getElementById(id).addEventListener("input", onSettingsChange);
+  }
+
+  renderSettings();
+
+  //Deadline for a transaction sent now
+  function getDeadline() {
+    return Math.floor(Date.now() / 1000) + settings.deadlineMinutes * 60;
+  }
+
+  for (const id of ["amountIn", "amountOutMin"]) {
+    document.getElementById(id).addEventListener("input", updateQuote);
+  }
+
+  for (const id of ["tokenIn", "tokenOut"]) {
+    document.getElementById(id).addEventListener("change", () => {
+      updateQuote();
+      updateBalances();
+      refreshAnalytics();
+      refreshLiquidity().catch((err) => console.error("Error loading the liquidity position:", err));
+      updateZapQuote();
+    });
+  }
+
+  //The analytics follow the pair of the swap panel. Syncing reads the new logs; showing only recomputes from the cache.
+  async function refreshAnalytics() {
+    try {
+      const [base, quote] = getSwapTokens();
+      if (base && quote && poolAddress(base) !== poolAddress(quote)) {
+        await syncPoolEvents(poolAddress(base), poolAddress(quote));
+      }
+      await showAnalytics();
+    } catch (err) {
+      console.error("Error loading the analytics:", err);
+      document.getElementById("analyticsStatus").textContent = "The analytics could not be loaded.";
+    }
+  }
+
+  async function showAnalytics() {
+    try {
+      await renderAnalytics(...getSwapTokens());
+    } catch (err) {
+      console.error("Error showing the analytics:", err);
+    }
+  }
+
+  document.getElementById("chartInterval").addEventListener("change", showAnalytics);
+
+  //Fills both selectors with the registry, keeping the given tokens selected
+  function renderTokenSelectors(selectedIn, selectedOut) {
+    for (const [id, selected] of [["tokenIn", selectedIn], ["tokenOut", selectedOut]]) {
+      const select = document.getElementById(id);
+      select.innerHTML = "";
+      for (const token of tokens) {
+        //Symbols of imported tokens come from any contract, so I never put them in innerHTML
+        const option = document.createElement("option");
+        option.value = token.address;
+        option.textContent = `${token.symbol} (${token.name})`;
+        select.appendChild(option);
+      }
+      if (selected && findToken(selected)) {
+        select.value = findToken(selected).address;
+      }
+    }
+  }
+
+  function getSwapTokens() {
+    const tokenIn = document.getElementById("tokenIn").value;
+    const tokenOut = document.getElementById("tokenOut").value;
+    return [tokenIn && findToken(tokenIn), tokenOut && findToken(tokenOut)];
+  }
+
+  //Shows the user's balance of each selected token next to its selector
+  async function updateBalances() {
     if (!contract) {
-      alert("Connect the wallet first.");
+      document.getElementById("tokenInBalance").textContent = "";
+      document.getElementById("tokenOutBalance").textContent = "";
       return;
     }
-  
-    const amountInValue = document.getElementById("amountIn").value;
-    const amountOutMinValue = document.getElementById("amountOutMin").value;
-  
-    if (!amountInValue || !amountOutMinValue) {
-      alert("Complete both quantity fields.");
+
+    const owner = await signer.getAddress();
+    const [tokenIn, tokenOut] = getSwapTokens();
+    for (const [id, token] of [["tokenInBalance", tokenIn], ["tokenOutBalance", tokenOut]]) {
+      if (!token) {
+        continue;
+      }
+      try {
+        const balance = token.native
+          ? await provider.getBalance(owner)
+          : await new ethers.Contract(token.address, erc20Abi, provider).balanceOf(owner);
+        document.getElementById(id).textContent = `Balance: ${ethers.formatUnits(balance, token.decimals)} ${token.symbol}`;
+      } catch (err) {
+        console.error("Error getting balance:", err);
+      }
+    }
+  }
+
+  document.getElementById("flipTokens").addEventListener("click", () => {
+    const [tokenIn, tokenOut] = getSwapTokens();
+    if (tokenIn && tokenOut) {
+      renderTokenSelectors(tokenOut.address, tokenIn.address);
+      updateQuote();
+      updateBalances();
+    }
+  });
+
+  document.getElementById("importTokenButton").addEventListener("click", async () => {
+    if (!contract) {
+      alert("Connect the wallet first.");
       return;
     }
-  
+
+    const [tokenIn] = getSwapTokens();
     try {
-      const amountIn = ethers.parseUnits(amountInValue, 18);
-      const amountOutMin = ethers.parseUnits(amountOutMinValue, 18);
-      const deadline = Math.floor(Date.now() / 1000) + 600;
-      const path = [tokenA, tokenB];
-      const to = await signer.getAddress();
-  
-      //I do this mainly to fetch balances and later display how they change in a grid.
-      const erc20Abi = ["function balanceOf(address) view returns (uint)"];
-      const tokenAContract = new ethers.Contract(tokenA, erc20Abi, provider);
-      const tokenBContract = new ethers.Contract(tokenB, erc20Abi, provider);
-  
-      // balances before
-      const balanceA_Before = await tokenAContract.balanceOf(to);
-      const balanceB_Before = await tokenBContract.balanceOf(to);
-  
-      // Swap execution
-      const tx = await contract.swapExactTokensForTokens(amountIn, amountOutMin, path, to, deadline);
-      await tx.wait();
-  
-      // balances after
-      const balanceA_After = await tokenAContract.balanceOf(to);
-      const balanceB_After = await tokenBContract.balanceOf(to);
-  
-      //I save it in the table.
-      addSwapToHistory({
-        date: new Date().toLocaleString(),
-        tokenIn: tokenA === THURISAZ ? "Thurisaz" : "Uruz",
-        tokenOut: tokenB === THURISAZ ? "Thurisaz" : "Uruz",
-        balanceInBefore: ethers.formatUnits(balanceA_Before, 18),
-        balanceOutBefore: ethers.formatUnits(balanceB_Before, 18),
-        balanceInAfter: ethers.formatUnits(balanceA_After, 18),
-        balanceOutAfter: ethers.formatUnits(balanceB_After, 18),
-      });
-  
-      alert("Successful swap.");
+      const token = await importToken(document.getElementById("importTokenAddress").value.trim());
+      //The imported token is most likely the one the user wants to buy
+      renderTokenSelectors(tokenIn && tokenIn.address, token.address);
+      document.getElementById("importTokenAddress").value = "";
+      updateQuote();
+      updateBalances();
     } catch (err) {
-      console.error("Swap error:", err);
-      alert("Error performing the swap. Check quantities, permissions, or rejections.");
+      console.error("Error importing token:", err);
+      showToast("error", "The token could not be imported", "Check that the address is an ERC-20 token on this network.");
     }
-  }
-  
-  //I listen when you click swapThurisazToUruz
-  document.getElementById("swapThurisazToUruz").addEventListener("click", () => {
-    executeSwap(THURISAZ, URUZ);
   });
 
-  //Same thing but in reverse
-  document.getElementById("swapUruzToThurisaz").addEventListener("click", () => {
-    executeSwap(URUZ, THURISAZ);
-  });
+  //Slippage tolerance of the settings, in basis points. It applies to swaps and liquidity alike.
+  function getSlippageBps() {
+    return BigInt(Math.round(settings.slippage * 100));
+  }
+
+  //Tokens without a pool against each other are routed through Thurisaz or Uruz, the tokens every other pool is
+  //expected to pair with. I take the first path whose hops all have reserves, the direct one if there is one.
+  async function findRoute(tokenIn, tokenOut) {
+    const from = poolAddress(tokenIn);
+    const to = poolAddress(tokenOut);
+    const bases = [thurisaz, uruz].filter((base) => ![from, to].some((address) => address.toLowerCase() === base.toLowerCase()));
+
+    for (const path of [[from, to], ...bases.map((base) => [from, base, to])]) {
+      let hasReserves = true;
+      for (let i = 0; i < path.length - 1 && hasReserves; i++) {
+        hasReserves = await contract.reserve(path[i], path[i + 1]) > 0n && await contract.reserve(path[i + 1], path[i]) > 0n;
+      }
+      if (hasReserves) {
+        return path;
+      }
+    }
+    return undefined;
+  }
 
+  //Symbols along a route, for the quote
+  function describeRoute(path) {
+    return path.map((address) => {
+      const token = findToken(address);
+      return token ? token.symbol : address;
+    }).join(" → ");
+  }
+
+  //Latest quote, so executeSwap can check its price impact. I number the requests to ignore answers that arrive late.
+  let lastQuote;
+  let quoteRequest = 0;
 
-  async function fetchPrice(base, quote, label) {
+  //Quotes the typed amount along the route against the current reserves, shows the price impact against the spot
+  //price of every hop and fills in the other amount applying the slippage tolerance.
+  async function updateQuote() {
     if (!contract) {
-      alert("Connect the wallet first.");
       return;
     }
 
+    const request = ++quoteRequest;
+    const exactOutput = document.getElementById("exactOutput").checked;
+    const typedValue = document.getElementById(exactOutput ? "amountOutMin" : "amountIn").value;
+    const calculatedField = document.getElementById(exactOutput ? "amountIn" : "amountOutMin");
+    const quoteElement = document.getElementById("quote");
+    const warningElement = document.getElementById("priceImpactWarning");
+
+    if (!typedValue || Number(typedValue) <= 0) {
+      lastQuote = undefined;
+      quoteElement.textContent = "";
+      warningElement.hidden = true;
+      return;
+    }
+
+    const [tokenIn, tokenOut] = getSwapTokens();
+    if (!tokenIn || !tokenOut || poolAddress(tokenIn) === poolAddress(tokenOut)) {
+      lastQuote = undefined;
+      quoteElement.textContent = "Pick two different tokens.";
+      warningElement.hidden = true;
+      return;
+    }
+    const slippageBps = getSlippageBps();
+
     try {
-      const price = await contract.getPrice(base, quote);
-      const formatted = ethers.formatUnits(price, 18);
-      document.getElementById("priceResult").textContent = `1 ${label} = ${formatted} ${label === "Thurisaz" ? "Uruz" : "Thurisaz"}`;
+      const path = await findRoute(tokenIn, tokenOut);
+      if (request !== quoteRequest) {
+        return;
+      }
+      if (!path) {
+        lastQuote = undefined;
+        quoteElement.textContent = `No pool connects ${tokenIn.symbol} and ${tokenOut.symbol}, not even through Thurisaz or Uruz.`;
+        warningElement.hidden = true;
+        return;
+      }
+
+      //Prices are scaled by 1e18, so chaining the hops takes the scale out once per extra hop
+      let spotPrice = 10n ** 18n;
+      for (let i = 0; i < path.length - 1; i++) {
+        spotPrice = (spotPrice * await contract.getPrice(path[i], path[i + 1])) / 10n ** 18n;
+      }
+
+      let amountIn;
+      let amountOut;
+      if (exactOutput) {
+        amountOut = ethers.parseUnits(typedValue, tokenOut.decimals);
+        amountIn = (await contract.getAmountsIn(amountOut, path))[0];
+      } else {
+        amountIn = ethers.parseUnits(typedValue, tokenIn.decimals);
+        const amounts = await contract.getAmountsOut(amountIn, path);
+        amountOut = amounts[amounts.length - 1];
+      }
+
+      if (request !== quoteRequest) {
+        return;
+      }
+
+      //Both prices are "tokenOut per tokenIn" scaled by 1e18, so the impact is how much worse the execution price is (fee included)
+      const executionPrice = (amountOut * 10n ** 18n) / amountIn;
+      const impactBps = spotPrice > executionPrice ? ((spotPrice - executionPrice) * 10000n) / spotPrice : 0n;
+      lastQuote = { impactBps };
+      const route = path.length > 2 ? ` · Route: ${describeRoute(path)}` : "";
+
+      if (exactOutput) {
+        calculatedField.value = ethers.formatUnits((amountIn * (10000n + slippageBps)) / 10000n, tokenIn.decimals);
+        quoteElement.textContent = `Expected to spend: ${ethers.formatUnits(amountIn, tokenIn.decimals)} ${tokenIn.symbol} · Price impact: ${Number(impactBps) / 100}%${route}`;
+      } else {
+        calculatedField.value = ethers.formatUnits(applySlippage(amountOut, slippageBps), tokenOut.decimals);
+        quoteElement.textContent = `Expected to receive: ${ethers.formatUnits(amountOut, tokenOut.decimals)} ${tokenOut.symbol} · Price impact: ${Number(impactBps) / 100}%${route}`;
+      }
+
+      warningElement.hidden = impactBps <= PRICE_IMPACT_WARNING_BPS;
+      warningElement.textContent = `High price impact (${Number(impactBps) / 100}%): you will get a much worse price than the current one.`;
     } catch (err) {
-      console.error("Error getting price:", err);
-      alert("Price could not be obtained.");
+      if (request !== quoteRequest) {
+        return;
+      }
+      console.error("Error getting quote:", err);
+      lastQuote = undefined;
+      quoteElement.textContent = "Quote not available for this amount.";
+      warningElement.hidden = true;
     }
   }
 
-  document.getElementById("priceThurisazInUruz").addEventListener("click", () => {
-    fetchPrice(THURISAZ, URUZ, "Thurisaz");
-  });
+  //I show each step of an action (approvals and the action itself) so the user knows what the wallet is waiting for.
+  const stepLabels = { pending: "waiting for confirmation...", confirmed: "confirmed", skipped: "not needed", failed: "failed" };
 
-  document.getElementById("priceUruzInThurisaz").addEventListener("click", () => {
-    fetchPrice(URUZ, THURISAZ, "Uruz");
-  });
+  function setStep(listId, id, label, state) {
+    let item = document.getElementById(`${listId}-${id}`);
+    if (!item) {
+      item = document.createElement("li");
+      item.id = `${listId}-${id}`;
+      document.getElementById(listId).appendChild(item);
+    }
+    item.className = state;
+    item.textContent = `${label}: ${stepLabels[state]}`;
+  }
 
-});
+  //Sends the transaction of a step and waits for it, keeping its state up to date in the list.
+  //Its toast follows the transaction: submitted, mined and, without blocking the next step, confirmed.
+  async function runStep(listId, id, label, sendTransaction) {
+    setStep(listId, id, label, "pending");
+    let toast;
+    let txHash;
+    try {
+      const tx = await sendTransaction();
+      txHash = tx.hash;
+      toast = showToast("pending", `${label}: submitted`, "Waiting for it to be mined...", txHash);
+      const receipt = await tx.wait();
+      showToast("pending", `${label}: mined`, `Included in block ${receipt.blockNumber}, waiting for ${CONFIRMATIONS} confirmations...`, txHash, toast);
+      setStep(listId, id, label, "confirmed");
+      tx.wait(CONFIRMATIONS)
+        .then(() => showToast("success", `${label}: confirmed`, `${CONFIRMATIONS} confirmations.`, txHash, toast))
+        .catch((err) => showToast("error", `${label}: failed`, describeError(err), txHash, toast));
+    } catch (err) {
+      setStep(listId, id, label, "failed");
+      showToast("error", `${label}: failed`, describeError(err), txHash, toast);
+      err.reported = true;
+      throw err;
+    }
+  }
 
-//I'm saving the info in the table
-function addSwapToHistory({ date, tokenIn, tokenOut, balanceInBefore, balanceOutBefore, balanceInAfter, balanceOutAfter }) {
-    const table = document.getElementById("historyTable").querySelector("tbody");
-    const row = document.createElement("tr");
-  
-    row.innerHTML = `
-      <td>${date}</td>
-      <td>${tokenIn}</td>
-      <td>${tokenOut}</td>
-      <td>${balanceInBefore}</td>
-      <td>${balanceOutBefore}</td>
-      <td>${balanceInAfter}</td>
-      <td>${balanceOutAfter}</td>
-    `;
-  
-    table.prepend(row); 
+  //Batches calls to SimpleSwap into one multicall transaction, so they all go through or none does.
+  //Each call is [functionName, args], and they all run for the user as if sent one by one.
+  function batch(calls) {
+    return contract.multicall(calls.map(([name, args]) => contract.interface.encodeFunctionData(name, args)));
   }
-  
\ No newline at end of file
+
+  //SimpleSwap (or the router, for swaps to ETH) can only pull a token with enough allowance,
+  //so I only ask for an approve when the current one doesn't cover the amount.
+  async function ensureAllowance(listId, token, tokenName, amount, spender = contractAddress) {
+    const tokenContract = new ethers.Contract(token, erc20Abi, signer);
+    const owner = await signer.getAddress();
+    const allowance = await tokenContract.allowance(owner, spender);
+
+    if (allowance >= amount) {
+      setStep(listId, `approve-${tokenName}`, `Approve ${tokenName}`, "skipped");
+      return;
+    }
+
+    const approvalMode = document.getElementById("approvalMode").value;
+    const approvalAmount = approvalMode === "unlimited" ? ethers.MaxUint256 : amount;
+    await runStep(listId, `approve-${tokenName}`, `Approve ${tokenName}`, () => tokenContract.approve(spender, approvalAmount));
+  }
+
+  //With this function, I perform the token swap.
+  async function executeSwap(tokenA, tokenB) {
+    if (!contract) {
+      alert("Connect the wallet first.");
+      return;
+    }
+  
+    const amountInValue = document.getElementById("amountIn").value;
+    const amountOutMinValue = document.getElementById("amountOutMin").value;
+    const exactOutput = document.getElementById("exactOutput").checked;
+  
+    if (!amountInValue || !amountOutMinValue) {
+      alert("Complete both quantity fields.");
+      return;
+    }
+
+    if (!tokenA || !tokenB || poolAddress(tokenA) === poolAddress(tokenB)) {
+      alert("Pick two different tokens.");
+      return;
+    }
+
+    //The router only has exact input swaps
+    if (exactOutput && (tokenA.native || tokenB.native)) {
+      alert("Exact output swaps are not available with ETH, use WETH instead.");
+      return;
+    }
+
+    if (!settings.expertMode && lastQuote && lastQuote.impactBps > PRICE_IMPACT_WARNING_BPS &&
+        !confirm(`This swap has a price impact of ${Number(lastQuote.impactBps) / 100}%. Do you want to continue?`)) {
+      return;
+    }
+
+    document.getElementById("swapSteps").innerHTML = "";
+  
+    try {
+      const amountIn = ethers.parseUnits(amountInValue, tokenA.decimals);
+      const amountOutMin = ethers.parseUnits(amountOutMinValue, tokenB.decimals);
+      const deadline = getDeadline();
+      const path = await findRoute(tokenA, tokenB);
+      if (!path) {
+        alert(`No pool connects ${tokenA.symbol} and ${tokenB.symbol}.`);
+        return;
+      }
+      const to = await signer.getAddress();
+
+      //I quote the route before sending it, so the user doesn't pay for a transaction that is going to revert.
+      //In exact output mode amountIn is the maximum to spend and amountOutMin the exact amount to receive.
+      if (exactOutput) {
+        const quotedAmounts = await contract.getAmountsIn(amountOutMin, path);
+        if (quotedAmounts[0] > amountIn) {
+          alert(`The current quote (${ethers.formatUnits(quotedAmounts[0], tokenA.decimals)}) is above the maximum amount to spend.`);
+          return;
+        }
+      } else {
+        const quotedAmounts = await contract.getAmountsOut(amountIn, path);
+        const quotedAmountOut = quotedAmounts[quotedAmounts.length - 1];
+        if (quotedAmountOut < amountOutMin) {
+          alert(`The current quote (${ethers.formatUnits(quotedAmountOut, tokenB.decimals)}) is below the minimum amount to receive.`);
+          return;
+        }
+      }
+  
+      //ETH goes through the router: it is sent along with the swap, and tokens sold for ETH are pulled by the router.
+      //Otherwise amountIn is the most SimpleSwap can take in both modes.
+      if (tokenA.native) {
+        await runStep("swapSteps", "swap", "Swap", () => router.swapExactETHForTokens(amountOutMin, path, to, deadline, { value: amountIn }));
+      } else if (tokenB.native) {
+        await ensureAllowance("swapSteps", tokenA.address, tokenA.symbol, amountIn, await router.getAddress());
+        await runStep("swapSteps", "swap", "Swap", () => router.swapExactTokensForETH(amountIn, amountOutMin, path, to, deadline));
+      } else {
+        await ensureAllowance("swapSteps", tokenA.address, tokenA.symbol, amountIn);
+        await runStep("swapSteps", "swap", "Swap", () => exactOutput
+          ? contract.swapTokensForExactTokens(amountOutMin, amountIn, path, to, deadline)
+          : contract.swapExactTokensForTokens(amountIn, amountOutMin, path, to, deadline));
+      }
+  
+      //The swap is already on-chain, so I just pick up its SwapExecuted log.
+      await syncSwapHistory();
+      await updateBalances();
+    } catch (err) {
+      console.error("Swap error:", err);
+      reportError("Error performing the swap", err);
+    }
+  }
+  
+  //I listen when you click the swap button, in the direction that was quoted
+  document.getElementById("swapButton").addEventListener("click", () => {
+    executeSwap(...getSwapTokens());
+  });
+
+
+  async function fetchPrice(base, quote) {
+    if (!contract) {
+      alert("Connect the wallet first.");
+      return;
+    }
+
+    if (!base || !quote || poolAddress(base) === poolAddress(quote)) {
+      alert("Pick two different tokens.");
+      return;
+    }
+
+    try {
+      const price = await contract.getPrice(poolAddress(base), poolAddress(quote));
+      //The fee is in basis points and it's discounted from every swap, so I show it next to the price
+      const fee = await contract.swapFee(poolAddress(base), poolAddress(quote));
+      const feePercent = Number(fee) / 100;
+      document.getElementById("priceResult").textContent = `1 ${base.symbol} = ${formatPrice(price, base, quote)} ${quote.symbol} (swap fee: ${feePercent}%)`;
+    } catch (err) {
+      console.error("Error getting price:", err);
+      reportError("Price could not be obtained", err);
+    }
+  }
+
+  document.getElementById("priceButton").addEventListener("click", () => {
+    fetchPrice(...getSwapTokens());
+  });
+
+  //Minimum acceptable part of an amount for a slippage tolerance in basis points.
+  function applySlippage(amount, slippageBps) {
+    return (amount * (10000n - slippageBps)) / 10000n;
+  }
+
+  //The liquidity and zap panels work on the pair picked in the swap panel, with the decimals of its tokens.
+  //ETH has no pool of its own, so they need its wrapped token picked instead.
+  const PICK_PAIR_MESSAGE = "Pick two different tokens in the swap panel (WETH instead of ETH) to manage their liquidity.";
+
+  function getLiquidityTokens() {
+    const [tokenA, tokenB] = getSwapTokens();
+    if (!tokenA || !tokenB || tokenA.native || tokenB.native || tokenA.address === tokenB.address) {
+      return [];
+    }
+    return [tokenA, tokenB];
+  }
+
+  //Puts the symbols of the pair in both panels, keeping the zap token when it is still part of the pair
+  function renderLiquidityPanel() {
+    const [tokenA, tokenB] = getLiquidityTokens();
+    document.getElementById("depositALabel").textContent = `${tokenA ? tokenA.symbol : "First token"} to deposit`;
+    document.getElementById("depositBLabel").textContent = `${tokenB ? tokenB.symbol : "Second token"} to deposit`;
+    document.getElementById("liquidityHistoryA").textContent = tokenA ? tokenA.symbol : "First token";
+    document.getElementById("liquidityHistoryB").textContent = tokenB ? tokenB.symbol : "Second token";
+
+    const zapToken = document.getElementById("zapToken");
+    const selected = zapToken.value;
+    zapToken.innerHTML = "";
+    for (const token of [tokenA, tokenB].filter(Boolean)) {
+      //Symbols of imported tokens come from any contract, so I never put them in innerHTML
+      const option = document.createElement("option");
+      option.value = token.address;
+      option.textContent = token.symbol;
+      zapToken.appendChild(option);
+    }
+    if ([tokenA, tokenB].some((token) => token && token.address === selected)) {
+      zapToken.value = selected;
+    }
+
+    document.getElementById("moveFromSymbol").textContent = tokenB ? tokenB.symbol : "the second token";
+    const moveToken = document.getElementById("moveToken");
+    const moveSelected = moveToken.value;
+    moveToken.innerHTML = "";
+    const targets = tokenA ? tokens.filter((token) => !token.native && ![tokenA.address, tokenB.address].includes(token.address)) : [];
+    for (const token of targets) {
+      const option = document.createElement("option");
+      option.value = token.address;
+      option.textContent = token.symbol;
+      moveToken.appendChild(option);
+    }
+    if (targets.some((token) => token.address === moveSelected)) {
+      moveToken.value = moveSelected;
+    }
+  }
+
+  //Once the pool has liquidity, deposits must follow the reserves ratio, so I fill in the other amount as the user types.
+  async function fillPairedAmount(sourceId, targetId, sourceToken, targetToken) {
+    const value = document.getElementById(sourceId).value;
+    if (!contract || !value || !sourceToken) {
+      return;
+    }
+
+    try {
+      const sourceReserve = await contract.reserve(sourceToken.address, targetToken.address);
+      const targetReserve = await contract.reserve(targetToken.address, sourceToken.address);
+      if (sourceReserve === 0n || targetReserve === 0n) {
+        return; // Empty pool: the first deposit sets the price
+      }
+      const pairedAmount = (ethers.parseUnits(value, sourceToken.decimals) * targetReserve) / sourceReserve;
+      document.getElementById(targetId).value = ethers.formatUnits(pairedAmount, targetToken.decimals);
+    } catch (err) {
+      console.error("Error calculating the paired amount:", err);
+    }
+  }
+
+  document.getElementById("depositA").addEventListener("input", () => {
+    const [tokenA, tokenB] = getLiquidityTokens();
+    fillPairedAmount("depositA", "depositB", tokenA, tokenB);
+  });
+
+  document.getElementById("depositB").addEventListener("input", () => {
+    const [tokenA, tokenB] = getLiquidityTokens();
+    fillPairedAmount("depositB", "depositA", tokenB, tokenA);
+  });
+
+  //Reads the user's LTK balance and the pool state to show the position, and reloads the history.
+  async function refreshLiquidity() {
+    renderLiquidityPanel();
+    if (!contract) {
+      return;
+    }
+
+    const owner = await signer.getAddress();
+    const position = document.getElementById("liquidityPosition");
+    const [tokenA, tokenB] = getLiquidityTokens();
+    if (!tokenA) {
+      position.textContent = PICK_PAIR_MESSAGE;
+      document.getElementById("liquidityHistoryTable").querySelector("tbody").innerHTML = "";
+      return;
+    }
+
+    const ltkAddress = await contract.liquidityToken(tokenA.address, tokenB.address);
+    if (ltkAddress === ethers.ZeroAddress) {
+      position.textContent = `The ${tokenA.symbol}/${tokenB.symbol} pool has no liquidity yet`;
+    } else {
+      const ltk = new ethers.Contract(ltkAddress, erc20Abi, provider);
+      const balance = await ltk.balanceOf(owner);
+      const totalSupply = await ltk.totalSupply();
+      const reserveA = await contract.reserve(tokenA.address, tokenB.address);
+      const reserveB = await contract.reserve(tokenB.address, tokenA.address);
+
+      if (totalSupply === 0n) {
+        position.textContent = `The ${tokenA.symbol}/${tokenB.symbol} pool has no liquidity yet`;
+      } else {
+        //Pool share in basis points, so I don't lose the decimals with BigInt
+        const shareBps = (balance * 10000n) / totalSupply;
+        const amountA = ethers.formatUnits((balance * reserveA) / totalSupply, tokenA.decimals);
+        const amountB = ethers.formatUnits((balance * reserveB) / totalSupply, tokenB.decimals);
+        position.textContent = `Your ${tokenA.symbol}/${tokenB.symbol} LTK: ${ethers.formatUnits(balance, LTK_DECIMALS)} (${Number(shareBps) / 100}% of the pool ≈ ${amountA} ${tokenA.symbol} + ${amountB} ${tokenB.symbol})`;
+      }
+    }
+
+    await loadLiquidityHistory(owner, tokenA, tokenB);
+  }
+
+  document.getElementById("loadOlderSwaps").addEventListener("click", async () => {
+    try {
+      await loadOlderSwaps();
+    } catch (err) {
+      console.error("Error loading older swaps:", err);
+      reportError("Older swaps could not be loaded", err);
+    }
+  });
+
+  document.getElementById("exportCsv").addEventListener("click", () => exportSwapHistory("csv"));
+  document.getElementById("exportJson").addEventListener("click", () => exportSwapHistory("json"));
+
+  document.getElementById("addLiquidityButton").addEventListener("click", async () => {
+    if (!contract) {
+      alert("Connect the wallet first.");
+      return;
+    }
+
+    const [tokenA, tokenB] = getLiquidityTokens();
+    if (!tokenA) {
+      alert(PICK_PAIR_MESSAGE);
+      return;
+    }
+
+    const valueA = document.getElementById("depositA").value;
+    const valueB = document.getElementById("depositB").value;
+    if (!valueA || !valueB) {
+      alert("Complete both quantity fields.");
+      return;
+    }
+
+    document.getElementById("liquiditySteps").innerHTML = "";
+
+    try {
+      const amountA = ethers.parseUnits(valueA, tokenA.decimals);
+      const amountB = ethers.parseUnits(valueB, tokenB.decimals);
+      const deadline = getDeadline();
+      const to = await signer.getAddress();
+
+      await ensureAllowance("liquiditySteps", tokenA.address, tokenA.symbol, amountA);
+      await ensureAllowance("liquiditySteps", tokenB.address, tokenB.symbol, amountB);
+
+      await runStep("liquiditySteps", "add", "Add liquidity", () => contract.addLiquidity(
+        tokenA.address,
+        tokenB.address,
+        amountA,
+        amountB,
+        applySlippage(amountA, getSlippageBps()),
+        applySlippage(amountB, getSlippageBps()),
+        to,
+        deadline
+      ));
+
+      await refreshLiquidity();
+    } catch (err) {
+      console.error("Add liquidity error:", err);
+      reportError("Error adding liquidity", err);
+    }
+  });
+
+  //LTK of the pair to withdraw for the percentage entered, out of the user's balance
+  async function getWithdrawLiquidity(tokenA, tokenB, percent) {
+    const ltkAddress = await contract.liquidityToken(tokenA.address, tokenB.address);
+    if (ltkAddress === ethers.ZeroAddress) {
+      return { liquidity: 0n };
+    }
+    const ltk = new ethers.Contract(ltkAddress, erc20Abi, provider);
+    const balance = await ltk.balanceOf(await signer.getAddress());
+    const liquidity = (balance * BigInt(Math.round(percent * 100))) / 10000n;
+    return { ltk, liquidity, totalSupply: await ltk.totalSupply() };
+  }
+
+  document.getElementById("removeLiquidityButton").addEventListener("click", async () => {
+    if (!contract) {
+      alert("Connect the wallet first.");
+      return;
+    }
+
+    const [tokenA, tokenB] = getLiquidityTokens();
+    if (!tokenA) {
+      alert(PICK_PAIR_MESSAGE);
+      return;
+    }
+
+    const percent = Number(document.getElementById("withdrawPercent").value);
+    if (!(percent > 0 && percent <= 100)) {
+      alert("Enter a percentage between 0 and 100.");
+      return;
+    }
+
+    document.getElementById("liquiditySteps").innerHTML = "";
+
+    try {
+      const owner = await signer.getAddress();
+      const { liquidity, totalSupply } = await getWithdrawLiquidity(tokenA, tokenB, percent);
+
+      if (liquidity === 0n) {
+        alert("You have no liquidity to withdraw.");
+        return;
+      }
+
+      //SimpleSwap burns the LTK directly, so there is nothing to approve. The minimums protect against the pool moving meanwhile.
+      const expectedA = (liquidity * await contract.reserve(tokenA.address, tokenB.address)) / totalSupply;
+      const expectedB = (liquidity * await contract.reserve(tokenB.address, tokenA.address)) / totalSupply;
+      const deadline = getDeadline();
+
+      await runStep("liquiditySteps", "remove", "Remove liquidity", () => contract.removeLiquidity(
+        tokenA.address,
+        tokenB.address,
+        liquidity,
+        applySlippage(expectedA, getSlippageBps()),
+        applySlippage(expectedB, getSlippageBps()),
+        owner,
+        deadline
+      ));
+
+      await refreshLiquidity();
+    } catch (err) {
+      console.error("Remove liquidity error:", err);
+      reportError("Error removing liquidity", err);
+    }
+  });
+
+  //Zaps deposit or withdraw with a single token of the pool: SimpleSwapZap swaps the right share of it for the other one.
+  //Returns the selected token and the other one of the pair, or nothing without a pair.
+  function getZapTokens() {
+    const [tokenA, tokenB] = getLiquidityTokens();
+    return tokenB && document.getElementById("zapToken").value === tokenB.address ? [tokenB, tokenA] : [tokenA, tokenB];
+  }
+
+  async function updateZapQuote() {
+    const quote = document.getElementById("zapQuote");
+    const value = document.getElementById("zapAmount").value;
+    const [tokenIn, otherToken] = getZapTokens();
+    if (!zap || !value || !tokenIn) {
+      quote.textContent = "";
+      return;
+    }
+
+    try {
+      const [amountSwapped, amountOut, liquidity] = await zap.quoteZapIn(
+        tokenIn.address, ethers.parseUnits(value, tokenIn.decimals), otherToken.address
+      );
+      quote.textContent = `≈ ${ethers.formatUnits(liquidity, LTK_DECIMALS)} LTK. ${ethers.formatUnits(amountSwapped, tokenIn.decimals)} ${tokenIn.symbol} are swapped for ${ethers.formatUnits(amountOut, otherToken.decimals)} ${otherToken.symbol} first.`;
+    } catch (err) {
+      console.error("Error quoting the zap:", err);
+      quote.textContent = describeError(err);
+    }
+  }
+
+  document.getElementById("zapAmount").addEventListener("input", updateZapQuote);
+  document.getElementById("zapToken").addEventListener("change", updateZapQuote);
+
+  document.getElementById("zapInButton").addEventListener("click", async () => {
+    if (!zap) {
+      alert("Connect the wallet first.");
+      return;
+    }
+
+    const [tokenIn, otherToken] = getZapTokens();
+    if (!tokenIn) {
+      alert(PICK_PAIR_MESSAGE);
+      return;
+    }
+
+    const value = document.getElementById("zapAmount").value;
+    if (!value) {
+      alert("Enter the amount to deposit.");
+      return;
+    }
+
+    document.getElementById("liquiditySteps").innerHTML = "";
+
+    try {
+      const amountIn = ethers.parseUnits(value, tokenIn.decimals);
+      const [, , liquidity] = await zap.quoteZapIn(tokenIn.address, amountIn, otherToken.address);
+      const to = await signer.getAddress();
+
+      await ensureAllowance("liquiditySteps", tokenIn.address, tokenIn.symbol, amountIn, zap.target);
+      await runStep("liquiditySteps", "zapIn", `Zap in ${tokenIn.symbol}`, () => zap.zapIn(
+        tokenIn.address,
+        amountIn,
+        otherToken.address,
+        applySlippage(liquidity, getSlippageBps()),
+        to,
+        getDeadline()
+      ));
+
+      await refreshLiquidity();
+      await updateZapQuote();
+    } catch (err) {
+      console.error("Zap in error:", err);
+      reportError("Error zapping in", err);
+    }
+  });
+
+  document.getElementById("zapOutButton").addEventListener("click", async () => {
+    if (!contract) {
+      alert("Connect the wallet first.");
+      return;
+    }
+
+    const [tokenOut, otherToken] = getZapTokens();
+    if (!tokenOut) {
+      alert(PICK_PAIR_MESSAGE);
+      return;
+    }
+
+    const percent = Number(document.getElementById("withdrawPercent").value);
+    if (!(percent > 0 && percent <= 100)) {
+      alert("Enter a percentage between 0 and 100.");
+      return;
+    }
+
+    document.getElementById("liquiditySteps").innerHTML = "";
+
+    try {
+      const owner = await signer.getAddress();
+      const { ltk, liquidity } = await getWithdrawLiquidity(tokenOut, otherToken, percent);
+
+      if (liquidity === 0n) {
+        alert("You have no liquidity to withdraw.");
+        return;
+      }
+
+      //Unlike removeLiquidity, the zap has to take the LTK from the user before burning them, so it needs an allowance
+      await ensureAllowance("liquiditySteps", ltk.target, "LTK", liquidity, zap.target);
+      const expected = await zap.quoteZapOut(tokenOut.address, otherToken.address, liquidity);
+
+      await runStep("liquiditySteps", "zapOut", `Zap out to ${tokenOut.symbol}`, () => zap.zapOut(
+        tokenOut.address,
+        otherToken.address,
+        liquidity,
+        applySlippage(expected, getSlippageBps()),
+        owner,
+        getDeadline()
+      ));
+
+      await refreshLiquidity();
+    } catch (err) {
+      console.error("Zap out error:", err);
+      reportError("Error zapping out", err);
+    }
+  });
+
+  //Moving liquidity withdraws from the pair, swaps its second token for another one and adds both to the new pair,
+  //in a single multicall so nothing is left half done. The batch runs for the user, so every call moves tokens in
+  //and out of their wallet: I only swap and add the minimums the previous calls guarantee on-chain, so the batch never
+  //spends tokens the user already had. Whatever arrives above them stays in the wallet.
+  document.getElementById("moveLiquidityButton").addEventListener("click", async () => {
+    if (!contract) {
+      alert("Connect the wallet first.");
+      return;
+    }
+
+    const [tokenA, tokenB] = getLiquidityTokens();
+    const tokenC = findToken(document.getElementById("moveToken").value || ethers.ZeroAddress);
+    if (!tokenA || !tokenC) {
+      alert(PICK_PAIR_MESSAGE);
+      return;
+    }
+
+    const percent = Number(document.getElementById("withdrawPercent").value);
+    if (!(percent > 0 && percent <= 100)) {
+      alert("Enter a percentage between 0 and 100.");
+      return;
+    }
+
+    document.getElementById("liquiditySteps").innerHTML = "";
+
+    try {
+      const owner = await signer.getAddress();
+      const { liquidity, totalSupply } = await getWithdrawLiquidity(tokenA, tokenB, percent);
+      if (liquidity === 0n) {
+        alert("You have no liquidity to withdraw.");
+        return;
+      }
+
+      //Moving into an empty pool would set its price, which should be a deliberate deposit
+      const reserveA = await contract.reserve(tokenA.address, tokenC.address);
+      const reserveC = await contract.reserve(tokenC.address, tokenA.address);
+      if (reserveA === 0n || reserveC === 0n) {
+        alert(`The ${tokenA.symbol}/${tokenC.symbol} pool has no liquidity yet. Add to it directly to set its price.`);
+        return;
+      }
+
+      const minA = applySlippage((liquidity * await contract.reserve(tokenA.address, tokenB.address)) / totalSupply, getSlippageBps());
+      const minB = applySlippage((liquidity * await contract.reserve(tokenB.address, tokenA.address)) / totalSupply, getSlippageBps());
+      const [, swapOut] = await contract.getAmountsOut(minB, [tokenB.address, tokenC.address]);
+      const minC = applySlippage(swapOut, getSlippageBps());
+
+      //addLiquidity takes the two amounts at the ratio of the new pool, so one side is usually less than what is offered
+      const pairedC = (minA * reserveC) / reserveA;
+      const [amountA, amountC] = pairedC <= minC ? [minA, pairedC] : [(minC * reserveA) / reserveC, minC];
+      const deadline = getDeadline();
+
+      //The pool price can move before the batch runs, so addLiquidity may take up to the desired amounts
+      await ensureAllowance("liquiditySteps", tokenB.address, tokenB.symbol, minB);
+      await ensureAllowance("liquiditySteps", tokenA.address, tokenA.symbol, minA);
+      await ensureAllowance("liquiditySteps", tokenC.address, tokenC.symbol, minC);
+
+      await runStep("liquiditySteps", "move", `Move to ${tokenA.symbol}/${tokenC.symbol}`, () => batch([
+        ["removeLiquidity", [tokenA.address, tokenB.address, liquidity, minA, minB, owner, deadline]],
+        ["swapExactTokensForTokens", [minB, minC, [tokenB.address, tokenC.address], owner, deadline]],
+        ["addLiquidity", [tokenA.address, tokenC.address, minA, minC, applySlippage(amountA, getSlippageBps()), applySlippage(amountC, getSlippageBps()), owner, deadline]]
+      ]));
+
+      await refreshLiquidity();
+    } catch (err) {
+      console.error("Move liquidity error:", err);
+      reportError("Error moving the liquidity", err);
+    }
+  });
+
+  //Limit orders sell the "From" token of the swap panel for its "To" token once the pool pays the target price.
+  //Anyone can fill them, so the open orders tab also offers to fill the user's own ones when the price is there.
+  function showOrdersTab(tab) {
+    for (const name of ["newOrder", "openOrders"]) {
+      document.getElementById(`${name}Panel`).hidden = name !== tab;
+      document.getElementById(`${name}Tab`).classList.toggle("active", name === tab);
+    }
+    if (tab === "openOrders") {
+      refreshOpenOrders();
+    }
+  }
+
+  document.getElementById("newOrderTab").addEventListener("click", () => showOrdersTab("newOrder"));
+  document.getElementById("openOrdersTab").addEventListener("click", () => showOrdersTab("openOrders"));
+
+  //The target price is typed as "To per From"; the contract takes it like getPrice, scaled by 1e18 over raw amounts
+  function parseTargetPrice(value, tokenIn, tokenOut) {
+    return ethers.parseUnits(value, 18 + tokenOut.decimals - tokenIn.decimals);
+  }
+
+  document.getElementById("placeOrderButton").addEventListener("click", async () => {
+    if (!contract) {
+      alert("Connect the wallet first.");
+      return;
+    }
+    if (!orderBook) {
+      alert("Limit orders are not available on this network.");
+      return;
+    }
+
+    const [tokenIn, tokenOut] = getSwapTokens();
+    if (!tokenIn || !tokenOut || poolAddress(tokenIn) === poolAddress(tokenOut)) {
+      alert("Pick two different tokens.");
+      return;
+    }
+    if (tokenIn.native || tokenOut.native) {
+      alert("Limit orders only take ERC-20 tokens, use WETH instead.");
+      return;
+    }
+
+    const amountValue = document.getElementById("orderAmount").value;
+    const priceValue = document.getElementById("orderTargetPrice").value;
+    const tipValue = document.getElementById("orderTip").value || "0";
+    const hours = Number(document.getElementById("orderExpiryHours").value);
+    if (!(Number(amountValue) > 0) || !(Number(priceValue) > 0) || !(hours > 0)) {
+      alert("Enter an amount, a target price and an expiry greater than zero.");
+      return;
+    }
+
+    document.getElementById("orderSteps").innerHTML = "";
+
+    try {
+      const amountIn = ethers.parseUnits(amountValue, tokenIn.decimals);
+      const tip = ethers.parseUnits(tipValue, tokenIn.decimals);
+      const targetPrice = parseTargetPrice(priceValue, tokenIn, tokenOut);
+      const expiry = Math.floor(Date.now() / 1000) + Math.round(hours * 3600);
+
+      //The order book escrows the amount and the tip, so it needs an allowance for both
+      await ensureAllowance("orderSteps", tokenIn.address, tokenIn.symbol, amountIn + tip, await orderBook.getAddress());
+      await runStep("orderSteps", "place", "Place order", () => orderBook.placeOrder(tokenIn.address, tokenOut.address, amountIn, targetPrice, tip, expiry));
+
+      await updateBalances();
+      showOrdersTab("openOrders");
+    } catch (err) {
+      console.error("Place order error:", err);
+      reportError("Error placing the order", err);
+    }
+  });
+
+  //Lists the open orders of the connected account, newest first, with what can be done with each one
+  async function refreshOpenOrders() {
+    const tbody = document.getElementById("openOrdersTable").querySelector("tbody");
+    const status = document.getElementById("openOrdersStatus");
+    if (!orderBook) {
+      tbody.innerHTML = "";
+      status.textContent = contract ? "Limit orders are not available on this network." : "Connect the wallet to see your orders.";
+      return;
+    }
+
+    try {
+      const ids = await orderBook.getOrdersOf(await signer.getAddress());
+      const now = Math.floor(Date.now() / 1000);
+      const rows = [];
+
+      for (const id of [...ids].reverse()) {
+        const order = await orderBook.orders(id);
+        if (order.status !== ORDER_OPEN) {
+          continue;
+        }
+        const tokenIn = tokenOrUnknown(order.tokenIn);
+        const tokenOut = tokenOrUnknown(order.tokenOut);
+        const expired = Number(order.expiry) < now;
+        const fillable = !expired && await orderBook.canFill(id);
+
+        const row = document.createElement("tr");
+        const cells = [
+          `#${id}`,
+          `${ethers.formatUnits(order.amountIn, tokenIn.decimals)} ${tokenIn.symbol}`,
+          `${formatPrice(order.targetPrice, tokenIn, tokenOut)} ${tokenOut.symbol} per ${tokenIn.symbol}`,
+          `${ethers.formatUnits(order.tip, tokenIn.decimals)} ${tokenIn.symbol}`,
+          expired ? "Expired" : new Date(Number(order.expiry) * 1000).toLocaleString(),
+          fillable ? "Price reached" : expired ? "Can only be cancelled" : "Waiting for the price"
+        ];
+        for (const text of cells) {
+          const cell = document.createElement("td");
+          cell.textContent = text;
+          row.appendChild(cell);
+        }
+
+        const actions = document.createElement("td");
+        if (fillable) {
+          actions.appendChild(orderActionButton("Fill", "fill", id, () => orderBook.fillOrder(id)));
+        }
+        actions.appendChild(orderActionButton("Cancel", "cancel", id, () => orderBook.cancelOrder(id)));
+        row.appendChild(actions);
+        rows.push(row);
+      }
+
+      tbody.replaceChildren(...rows);
+      status.textContent = rows.length === 0 ? "You have no open orders." : "";
+    } catch (err) {
+      console.error("Error loading the open orders:", err);
+      status.textContent = "The open orders could not be loaded.";
+    }
+  }
+
+  function orderActionButton(label, action, id, sendTransaction) {
+    const button = document.createElement("button");
+    button.className = "button outline small";
+    button.textContent = label;
+    button.addEventListener("click", async () => {
+      document.getElementById("orderSteps").innerHTML = "";
+      try {
+        await runStep("orderSteps", `${action}-${id}`, `${label} order #${id}`, sendTransaction);
+        await updateBalances();
+        await refreshOpenOrders();
+      } catch (err) {
+        console.error(`${label} order error:`, err);
+        reportError(`Error with order #${id}`, err);
+      }
+    });
+    return button;
+  }
+
+});
+
+//The swap history is rebuilt from the SwapExecuted logs of the connected account. What was already read is cached
+//in localStorage per chain and account, with the block range it covers, so a reload only asks for the new blocks.
+let swapHistory;
+
+function swapHistoryKey(chainId, address, account) {
+  return `simpleswap:swaps:${chainId}:${address.toLowerCase()}:${account.toLowerCase()}`;
+}
+
+function saveSwapHistory() {
+  const { chainId, address, account, ...cached } = swapHistory;
+  localStorage.setItem(swapHistoryKey(chainId, address, account), JSON.stringify(cached));
+}
+
+//A restarted or redeployed local node starts over with the same chain id, and often at the same addresses. So a cache
+//is only kept while the last block it covers is still that block of the chain: not past the latest one, same hash.
+async function isCacheOnChain(cache, latestBlock) {
+  if (cache.toBlock > latestBlock) {
+    return false;
+  }
+  if (cache.toBlock < 0) {
+    return true;
+  }
+  const block = await provider.getBlock(cache.toBlock);
+  return Boolean(block) && block.hash === cache.toBlockHash;
+}
+
+//Reads the account's swaps between two blocks (both included) as plain objects I can store.
+//SimpleSwap logs ETH swaps with the router as the sender, so those come from the router's own SwapExecuted log.
+async function fetchSwapEntries(account, fromBlock, toBlock) {
+  const events = [];
+  for (const source of [contract, router].filter(Boolean)) {
+    events.push(...await source.queryFilter(source.filters.SwapExecuted(account), fromBlock, toBlock));
+  }
+  const entries = [];
+
+  for (const event of events) {
+    const block = await event.getBlock();
+    entries.push({
+      txHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      logIndex: event.index,
+      timestamp: block.timestamp,
+      path: [...event.args.path],
+      amounts: event.args.amounts.map((amount) => amount.toString()),
+    });
+  }
+
+  return entries;
+}
+
+//Adds entries to the history without duplicates, newest first
+function mergeSwapEntries(entries) {
+  const byLog = new Map(swapHistory.entries.map((entry) => [`${entry.txHash}-${entry.logIndex}`, entry]));
+  for (const entry of entries) {
+    byLog.set(`${entry.txHash}-${entry.logIndex}`, entry);
+  }
+  swapHistory.entries = [...byLog.values()].sort((a, b) => b.blockNumber - a.blockNumber || b.logIndex - a.logIndex);
+}
+
+//Loads the cached history and brings it up to the latest block. The first time, it only reads the latest page of blocks.
+async function syncSwapHistory() {
+  const chainId = (await provider.getNetwork()).chainId.toString();
+  const account = await signer.getAddress();
+  const latestBlock = await provider.getBlockNumber();
+
+  if (!swapHistory || swapHistory.chainId !== chainId || swapHistory.address !== contractAddress || swapHistory.account !== account) {
+    const cached = JSON.parse(localStorage.getItem(swapHistoryKey(chainId, contractAddress, account)) || "null");
+    swapHistory = cached ? { chainId, address: contractAddress, account, ...cached } : undefined;
+  }
+  if (!swapHistory || !(await isCacheOnChain(swapHistory, latestBlock))) {
+    swapHistory = {
+      chainId, address: contractAddress, account, entries: [],
+      fromBlock: Math.max(0, latestBlock - HISTORY_PAGE_BLOCKS + 1), toBlock: latestBlock - HISTORY_PAGE_BLOCKS
+    };
+  }
+
+  for (let from = swapHistory.toBlock + 1; from <= latestBlock; from += HISTORY_PAGE_BLOCKS) {
+    const to = Math.min(from + HISTORY_PAGE_BLOCKS - 1, latestBlock);
+    mergeSwapEntries(await fetchSwapEntries(account, Math.max(from, swapHistory.fromBlock), to));
+    swapHistory.toBlock = to;
+    swapHistory.toBlockHash = (await provider.getBlock(to)).hash;
+    saveSwapHistory();
+  }
+
+  renderSwapHistory();
+}
+
+//Reads the page of blocks right before the oldest one already covered
+async function loadOlderSwaps() {
+  if (!swapHistory || swapHistory.fromBlock === 0) {
+    return;
+  }
+
+  const to = swapHistory.fromBlock - 1;
+  const from = Math.max(0, to - HISTORY_PAGE_BLOCKS + 1);
+  mergeSwapEntries(await fetchSwapEntries(swapHistory.account, from, to));
+  swapHistory.fromBlock = from;
+  saveSwapHistory();
+  renderSwapHistory();
+}
+
+//Tokens the user removed from the registry still show up in old swaps, so I fall back to the address and 18 decimals
+function tokenOrUnknown(address) {
+  return findToken(address) || { address, symbol: `${address.slice(0, 6)}...${address.slice(-4)}`, decimals: 18 };
+}
+
+//Row values of a swap: first and last token of the path, and the price actually paid (tokenOut per tokenIn)
+function describeSwap(entry) {
+  const tokenIn = tokenOrUnknown(entry.path[0]);
+  const tokenOut = tokenOrUnknown(entry.path[entry.path.length - 1]);
+  const amountIn = BigInt(entry.amounts[0]);
+  const amountOut = BigInt(entry.amounts[entry.amounts.length - 1]);
+  return {
+    date: new Date(entry.timestamp * 1000).toLocaleString(),
+    txHash: entry.txHash,
+    tokenIn: tokenIn.symbol,
+    amountIn: ethers.formatUnits(amountIn, tokenIn.decimals),
+    tokenOut: tokenOut.symbol,
+    amountOut: ethers.formatUnits(amountOut, tokenOut.decimals),
+    effectivePrice: formatPrice((amountOut * 10n ** 18n) / amountIn, tokenIn, tokenOut),
+  };
+}
+
+//I'm saving the info in the table
+function renderSwapHistory() {
+  const table = document.getElementById("historyTable").querySelector("tbody");
+  table.innerHTML = "";
+
+  for (const entry of swapHistory.entries) {
+    const swap = describeSwap(entry);
+    const row = document.createElement("tr");
+
+    //Symbols of imported tokens come from any contract, so I set them as text instead of building the row with innerHTML
+    for (const value of [swap.date, `${swap.txHash.slice(0, 10)}...`, swap.tokenIn, swap.amountIn, swap.tokenOut, swap.amountOut, swap.effectivePrice]) {
+      const cell = document.createElement("td");
+      cell.textContent = value;
+      row.appendChild(cell);
+    }
+    row.children[1].title = swap.txHash;
+
+    table.appendChild(row);
+  }
+
+  document.getElementById("loadOlderSwaps").disabled = swapHistory.fromBlock === 0;
+}
+
+function downloadFile(name, type, content) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+function exportSwapHistory(format) {
+  if (!swapHistory) {
+    alert("Connect the wallet first.");
+    return;
+  }
+
+  const swaps = swapHistory.entries.map(describeSwap);
+  if (format === "json") {
+    downloadFile("swap-history.json", "application/json", JSON.stringify(swaps, null, 2));
+    return;
+  }
+
+  const columns = ["date", "txHash", "tokenIn", "amountIn", "tokenOut", "amountOut", "effectivePrice"];
+  const rows = swaps.map((swap) => columns.map((column) => `"${String(swap[column]).replaceAll('"', '""')}"`).join(","));
+  downloadFile("swap-history.csv", "text/csv", [columns.join(","), ...rows].join("\n"));
+}
+
+
+//I rebuild the liquidity table from the LiquidityAdded/LiquidityRemoved events of the connected account in the given pair.
+async function loadLiquidityHistory(owner, tokenA, tokenB) {
+  const latestBlock = await provider.getBlockNumber();
+  const fromBlock = Math.max(0, latestBlock - LIQUIDITY_HISTORY_BLOCKS);
+  const added = await contract.queryFilter(contract.filters.LiquidityAdded(owner), fromBlock);
+  const removed = await contract.queryFilter(contract.filters.LiquidityRemoved(owner), fromBlock);
+
+  const pair = [tokenA.address.toLowerCase(), tokenB.address.toLowerCase()];
+  const events = [...added, ...removed]
+    .filter((event) => pair.includes(event.args.tokenA.toLowerCase()) && pair.includes(event.args.TokenB.toLowerCase()))
+    .sort((a, b) => b.blockNumber - a.blockNumber || b.index - a.index);
+
+  const table = document.getElementById("liquidityHistoryTable").querySelector("tbody");
+  table.innerHTML = "";
+
+  for (const event of events) {
+    const block = await event.getBlock();
+    //Events log the tokens sorted by address, so I look up which amount is which
+    const aFirst = event.args.tokenA.toLowerCase() === pair[0];
+    const row = document.createElement("tr");
+
+    row.innerHTML = `
+      <td>${new Date(block.timestamp * 1000).toLocaleString()}</td>
+      <td>${event.fragment.name === "LiquidityAdded" ? "Added" : "Removed"}</td>
+      <td>${ethers.formatUnits(aFirst ? event.args.amountA : event.args.amountB, tokenA.decimals)}</td>
+      <td>${ethers.formatUnits(aFirst ? event.args.amountB : event.args.amountA, tokenB.decimals)}</td>
+      <td>${ethers.formatUnits(event.args.liquidity, LTK_DECIMALS)}</td>
+    `;
+
+    table.appendChild(row);
+  }
+}
+
+//Pool analytics are aggregated from the Swap, Mint, Burn and Sync logs of SimpleSwap. They index the tokens of the
+//pair, so I only read the logs of the selected pair. As with the swap history, what was already read is cached in
+//localStorage per chain, contract and pair, with the last block covered, so each sync only asks for the new blocks.
+//Entries older than the 7 day window are dropped.
+let poolEvents;
+let syncingPoolEvents = false;
+
+//SimpleSwap sorts the tokens of a pair by address, and its pair events use that order
+function sortPair(tokenA, tokenB) {
+  return BigInt(tokenA) < BigInt(tokenB) ? [tokenA, tokenB] : [tokenB, tokenA];
+}
+
+function poolEventsKey(chainId, address, tokenA, tokenB) {
+  return `simpleswap:analytics:${chainId}:${address.toLowerCase()}:${tokenA.toLowerCase()}:${tokenB.toLowerCase()}`;
+}
+
+function savePoolEvents() {
+  const { chainId, address, tokenA, tokenB, ...cached } = poolEvents;
+  localStorage.setItem(poolEventsKey(chainId, address, tokenA, tokenB), JSON.stringify(cached));
+}
+
+//Whether the cached events are the ones of this pair
+function isPoolEventsPair(tokenA, tokenB) {
+  [tokenA, tokenB] = sortPair(tokenA, tokenB);
+  return poolEvents && poolEvents.tokenA.toLowerCase() === tokenA.toLowerCase() && poolEvents.tokenB.toLowerCase() === tokenB.toLowerCase();
+}
+
+//Reads the events of a pair between two blocks (both included), oldest first, as plain objects I can store
+async function fetchPoolEvents(tokenA, tokenB, fromBlock, toBlock) {
+  const pair = [tokenA, tokenB];
+  const filters = [
+    //Swaps go both ways, so either token can be the input
+    contract.filters.Swap(null, pair, pair),
+    contract.filters.Mint(null, tokenA, tokenB),
+    contract.filters.Burn(null, tokenA, tokenB),
+    contract.filters.Sync(tokenA, tokenB)
+  ];
+  const events = (await Promise.all(filters.map((filter) => contract.queryFilter(filter, fromBlock, toBlock))))
+    .flat().sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+
+  const timestamps = new Map();
+  const entries = [];
+  for (const event of events) {
+    if (!timestamps.has(event.blockNumber)) {
+      timestamps.set(event.blockNumber, (await event.getBlock()).timestamp);
+    }
+    const entry = { type: event.fragment.name, blockNumber: event.blockNumber, timestamp: timestamps.get(event.blockNumber) };
+    if (entry.type === "Swap") {
+      entry.tokenIn = event.args.tokenIn;
+      entry.amountIn = event.args.amountIn.toString();
+      entry.amountOut = event.args.amountOut.toString();
+    } else if (entry.type === "Sync") {
+      entry.reserveA = event.args.reserveA.toString();
+      entry.reserveB = event.args.reserveB.toString();
+    } else {
+      entry.amountA = event.args.amountA.toString();
+      entry.amountB = event.args.amountB.toString();
+    }
+    entries.push(entry);
+  }
+  return entries;
+}
+
+//Loads the cached events of a pair and brings them up to the latest block. Only one sync runs at a time, since every
+//block starts one.
+async function syncPoolEvents(base, quote) {
+  if (syncingPoolEvents) {
+    return;
+  }
+  syncingPoolEvents = true;
+
+  try {
+    const chainId = (await provider.getNetwork()).chainId.toString();
+    const latestBlock = await provider.getBlock("latest");
+    const [tokenA, tokenB] = sortPair(base, quote);
+
+    if (!isPoolEventsPair(tokenA, tokenB) || poolEvents.chainId !== chainId || poolEvents.address !== contractAddress) {
+      const cached = JSON.parse(localStorage.getItem(poolEventsKey(chainId, contractAddress, tokenA, tokenB)) || "null");
+      poolEvents = cached ? { chainId, address: contractAddress, tokenA, tokenB, ...cached } : undefined;
+    }
+    if (!poolEvents || !(await isCacheOnChain(poolEvents, latestBlock.number))) {
+      poolEvents = { chainId, address: contractAddress, tokenA, tokenB, entries: [], toBlock: Math.max(0, latestBlock.number - ANALYTICS_WINDOW_BLOCKS) - 1 };
+    }
+
+    //"Now" is the time of the latest block, so the windows also work on a local node whose clock was moved
+    poolEvents.now = latestBlock.timestamp;
+    for (let from = poolEvents.toBlock + 1; from <= latestBlock.number; from += HISTORY_PAGE_BLOCKS) {
+      const to = Math.min(from + HISTORY_PAGE_BLOCKS - 1, latestBlock.number);
+      poolEvents.entries.push(...await fetchPoolEvents(tokenA, tokenB, from, to));
+      poolEvents.toBlock = to;
+    }
+    poolEvents.toBlockHash = (await provider.getBlock(poolEvents.toBlock)).hash;
+    poolEvents.entries = poolEvents.entries.filter((entry) => entry.timestamp > poolEvents.now - ANALYTICS_WINDOW_SECONDS);
+    savePoolEvents();
+  } finally {
+    syncingPoolEvents = false;
+  }
+}
+
+//Aggregates the cached events of the pair. Amounts are raw; prices are "quote per base" scaled by 1e18, as getPrice.
+//Volume and fees are measured in the base token, and every hop of a multi-hop swap through the pair counts.
+function aggregatePairEvents(base, quote, fee) {
+  const now = poolEvents.now;
+  const stats = {
+    volume24h: 0n, volume7d: 0n, swaps24h: 0, swaps7d: 0,
+    addedBase: 0n, addedQuote: 0n, removedBase: 0n, removedQuote: 0n,
+    prices: []
+  };
+  //Addresses from the config may not be checksummed, so I compare them in lowercase
+  const baseIsA = poolEvents.tokenA.toLowerCase() === base.toLowerCase();
+  const inBaseOrder = (amountA, amountB) => baseIsA ? [BigInt(amountA), BigInt(amountB)] : [BigInt(amountB), BigInt(amountA)];
+
+  for (const entry of poolEvents.entries) {
+    const recent = entry.timestamp > now - 24 * 60 * 60;
+    if (entry.type === "Swap") {
+      const sellsBase = entry.tokenIn.toLowerCase() === base.toLowerCase();
+      const volume = BigInt(sellsBase ? entry.amountIn : entry.amountOut);
+      stats.volume7d += volume;
+      stats.swaps7d++;
+      if (recent) {
+        stats.volume24h += volume;
+        stats.swaps24h++;
+      }
+    } else if (entry.type === "Sync") {
+      //The spot price right after every change of the reserves
+      const [reserveBase, reserveQuote] = inBaseOrder(entry.reserveA, entry.reserveB);
+      if (reserveBase > 0n) {
+        stats.prices.push({ blockNumber: entry.blockNumber, timestamp: entry.timestamp, price: (reserveQuote * 10n ** 18n) / reserveBase });
+      }
+    } else {
+      const [amountBase, amountQuote] = inBaseOrder(entry.amountA, entry.amountB);
+      if (entry.type === "Mint") {
+        stats.addedBase += amountBase;
+        stats.addedQuote += amountQuote;
+      } else {
+        stats.removedBase += amountBase;
+        stats.removedQuote += amountQuote;
+      }
+    }
+  }
+
+  //The fee of a swap is a share of its input, so this is an estimate with the pair's current fee
+  stats.fees24h = (stats.volume24h * fee) / 10000n;
+  stats.fees7d = (stats.volume7d * fee) / 10000n;
+  return stats;
+}
+
+//Keeps the last price of each block or each hour
+function bucketPrices(prices, interval) {
+  const buckets = new Map();
+  for (const point of prices) {
+    const key = interval === "hour" ? Math.floor(point.timestamp / 3600) : point.blockNumber;
+    buckets.set(key, point);
+  }
+  return [...buckets.values()];
+}
+
+function svgElement(name, attributes, text) {
+  const element = document.createElementNS("http://www.w3.org/2000/svg", name);
+  for (const [key, value] of Object.entries(attributes)) {
+    element.setAttribute(key, value);
+  }
+  if (text !== undefined) {
+    element.textContent = text;
+  }
+  return element;
+}
+
+//Plots the prices as a line, with the highest and lowest price and the first and last time as labels
+function renderPriceChart(points, base, quote, interval) {
+  const svg = document.getElementById("priceChart");
+  svg.replaceChildren();
+
+  if (points.length === 0) {
+    svg.appendChild(svgElement("text", { x: CHART_WIDTH / 2, y: CHART_HEIGHT / 2, "text-anchor": "middle" }, "The reserves of this pair did not change in the last 7 days"));
+    return;
+  }
+
+  const values = points.map((point) => Number(formatPrice(point.price, base, quote)));
+  let min = Math.min(...values);
+  let max = Math.max(...values);
+  if (min === max) {
+    min *= 0.99;
+    max *= 1.01;
+  }
+
+  const plotWidth = CHART_WIDTH - 2 * CHART_PADDING;
+  const plotHeight = CHART_HEIGHT - 2 * CHART_PADDING;
+  const x = (i) => CHART_PADDING + (points.length === 1 ? plotWidth / 2 : (i * plotWidth) / (points.length - 1));
+  const y = (value) => CHART_PADDING + ((max - value) * plotHeight) / (max - min);
+  const coordinates = values.map((value, i) => `${x(i)},${y(value)}`).join(" ");
+
+  svg.appendChild(svgElement("rect", { x: CHART_PADDING, y: CHART_PADDING, width: plotWidth, height: plotHeight, class: "chart-area" }));
+  svg.appendChild(svgElement("polyline", { points: coordinates, class: "chart-line" }));
+  values.forEach((value, i) => svg.appendChild(svgElement("circle", { cx: x(i), cy: y(value), r: 3, class: "chart-point" })));
+
+  const formatTime = (timestamp) => new Date(timestamp * 1000).toLocaleString();
+  svg.appendChild(svgElement("text", { x: CHART_PADDING, y: CHART_PADDING - 8 }, `${max.toPrecision(6)} ${quote.symbol} per ${base.symbol}`));
+  svg.appendChild(svgElement("text", { x: CHART_PADDING, y: CHART_HEIGHT - CHART_PADDING + 16 }, min.toPrecision(6)));
+  svg.appendChild(svgElement("text", { x: CHART_PADDING, y: CHART_HEIGHT - 6 }, formatTime(points[0].timestamp)));
+  svg.appendChild(svgElement("text", { x: CHART_WIDTH - CHART_PADDING, y: CHART_HEIGHT - 6, "text-anchor": "end" },
+    interval === "hour" ? formatTime(points[points.length - 1].timestamp) : `Block ${points[points.length - 1].blockNumber}`));
+}
+
+function renderStats(stats) {
+  const container = document.getElementById("analyticsStats");
+  container.replaceChildren();
+  for (const [label, value] of stats) {
+    const card = document.createElement("div");
+    card.className = "stat";
+    const labelElement = document.createElement("span");
+    labelElement.textContent = label;
+    const valueElement = document.createElement("strong");
+    valueElement.textContent = value;
+    card.append(labelElement, valueElement);
+    container.appendChild(card);
+  }
+}
+
+//Shows the analytics of the pair picked in the swap panel, with its current reserves read from SimpleSwap
+async function renderAnalytics(base, quote) {
+  const status = document.getElementById("analyticsStatus");
+  if (!contract) {
+    renderStats([]);
+    document.getElementById("priceChart").replaceChildren();
+    status.textContent = "Connect the wallet to see the analytics of the selected pair.";
+    return;
+  }
+  if (!base || !quote || poolAddress(base) === poolAddress(quote)) {
+    status.textContent = "Pick two different tokens in the swap panel.";
+    return;
+  }
+
+  const baseAddress = poolAddress(base);
+  const quoteAddress = poolAddress(quote);
+  if (!isPoolEventsPair(baseAddress, quoteAddress)) {
+    status.textContent = `Loading the ${base.symbol}/${quote.symbol} logs...`;
+    return;
+  }
+  const [reserveBase, reserveQuote] = await contract.getReserves(baseAddress, quoteAddress);
+  if (reserveBase === 0n || reserveQuote === 0n) {
+    renderStats([]);
+    document.getElementById("priceChart").replaceChildren();
+    status.textContent = `There is no ${base.symbol}/${quote.symbol} pool yet.`;
+    return;
+  }
+
+  const fee = await contract.swapFee(baseAddress, quoteAddress);
+  const stats = aggregatePairEvents(baseAddress, quoteAddress, fee);
+  const inBase = (amount) => `${ethers.formatUnits(amount, base.decimals)} ${base.symbol}`;
+  const inQuote = (amount) => `${ethers.formatUnits(amount, quote.decimals)} ${quote.symbol}`;
+  //At the spot price both sides of the pool are worth the same, so the TVL is twice the quote reserve
+  const tvl = reserveQuote * 2n;
+
+  renderStats([
+    ["Volume 24h", inBase(stats.volume24h)],
+    ["Volume 7d", inBase(stats.volume7d)],
+    ["Swaps 24h", stats.swaps24h.toString()],
+    ["Swaps 7d", stats.swaps7d.toString()],
+    ["Fees 24h (estimated)", inBase(stats.fees24h)],
+    ["Fees 7d (estimated)", inBase(stats.fees7d)],
+    ["Reserves", `${inBase(reserveBase)} · ${inQuote(reserveQuote)}`],
+    ["TVL", inQuote(tvl)],
+    ["Liquidity added 7d", `${inBase(stats.addedBase)} · ${inQuote(stats.addedQuote)}`],
+    ["Liquidity removed 7d", `${inBase(stats.removedBase)} · ${inQuote(stats.removedQuote)}`]
+  ]);
+
+  const interval = document.getElementById("chartInterval").value;
+  renderPriceChart(bucketPrices(stats.prices, interval), base, quote, interval);
+  status.textContent = `${base.symbol}/${quote.symbol} · indexed up to block ${poolEvents.toBlock}. Prices are the spot price after every change of the reserves.`;
+}
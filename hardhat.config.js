@@ -6,7 +6,17 @@ const INFURA_API_KEY = process.env.INFURA_API_KEY //To interact with the NODE
 const ETHERSCAN_API_KEY = process.env.ETHERSCAN_API_KEY //To VERIFY the contract
 
 module.exports = {
-  solidity: "0.8.28",
+  solidity: {
+    version: "0.8.28",
+    //SimpleSwap grew past the 24 KB contract size limit, so I turned on the optimizer
+    //The ETH router, the zap and the limit order book live in their own contracts to keep it under the limit
+    settings: {
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
+  },
   networks: {
     sepolia: {
       url: `https://sepolia.infura.io/v3/${INFURA_API_KEY}`,
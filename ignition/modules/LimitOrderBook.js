@@ -0,0 +1,13 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const SimpleSwapModule = require("./SimpleSwap");
+
+//I deploy the limit order book next to SimpleSwap; it needs nothing else
+const LimitOrderBookModule = buildModule("LimitOrderBookModule", (m) => {
+  const { simpleswap } = m.useModule(SimpleSwapModule);
+
+  const limitOrderBook = m.contract("LimitOrderBook", [simpleswap]);
+
+  return { simpleswap, limitOrderBook };
+});
+
+module.exports = LimitOrderBookModule;
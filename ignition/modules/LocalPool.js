@@ -0,0 +1,15 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const PoolModule = require("./Pool");
+
+//Only for a local node: there is no WETH there, so next to the pool I deploy the mock one and the ETH router on top of it.
+//On a real network the router goes with SimpleSwapETH.js and the WETH of that network instead.
+const LocalPoolModule = buildModule("LocalPoolModule", (m) => {
+  const pool = m.useModule(PoolModule);
+
+  const weth = m.contract("WETHMock", [], { id: "WETH" });
+  const simpleswapETH = m.contract("SimpleSwapETH", [pool.simpleswap, weth]);
+
+  return { ...pool, weth, simpleswapETH };
+});
+
+module.exports = LocalPoolModule;
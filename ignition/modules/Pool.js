@@ -0,0 +1,38 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const TokensModule = require("./Tokens");
+const SimpleSwapModule = require("./SimpleSwap");
+const LimitOrderBookModule = require("./LimitOrderBook");
+const SimpleSwapZapModule = require("./SimpleSwapZap");
+
+//A far away deadline (2100-01-01), since Ignition may send the seeding transaction any time after building the module
+const SEED_DEADLINE = 4_102_444_800n;
+
+//I bring up a working environment on any network: both tokens, SimpleSwap and a Thurisaz/Uruz pool seeded by the
+//deployer, along with the limit order book and the zap. The ETH router needs the WETH of the network, so it is
+//deployed with SimpleSwapETH.js (or LocalPool.js, on a local node).
+//The ratio of the pool is the ratio between "seedThurisaz" and "seedUruz".
+const PoolModule = buildModule("PoolModule", (m) => {
+  const deployer = m.getAccount(0);
+  const seedThurisaz = m.getParameter("seedThurisaz", 10_000n * 10n ** 18n);
+  const seedUruz = m.getParameter("seedUruz", 10_000n * 10n ** 18n);
+
+  const { thurisaz, uruz } = m.useModule(TokensModule);
+  const { simpleswap } = m.useModule(SimpleSwapModule);
+
+  const approveThurisaz = m.call(thurisaz, "approve", [simpleswap, seedThurisaz], { after: [TokensModule] });
+  const approveUruz = m.call(uruz, "approve", [simpleswap, seedUruz], { after: [TokensModule] });
+
+  m.call(
+    simpleswap,
+    "addLiquidity",
+    [thurisaz, uruz, seedThurisaz, seedUruz, seedThurisaz, seedUruz, deployer, SEED_DEADLINE],
+    { after: [approveThurisaz, approveUruz] }
+  );
+
+  const { limitOrderBook } = m.useModule(LimitOrderBookModule);
+  const { simpleswapZap } = m.useModule(SimpleSwapZapModule);
+
+  return { thurisaz, uruz, simpleswap, limitOrderBook, simpleswapZap };
+});
+
+module.exports = PoolModule;
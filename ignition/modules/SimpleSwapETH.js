@@ -0,0 +1,15 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const SimpleSwapModule = require("./SimpleSwap");
+
+//I deploy the ETH router next to SimpleSwap. "weth" is the WETH contract of the network
+//(0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14 on Sepolia).
+const SimpleSwapETHModule = buildModule("SimpleSwapETHModule", (m) => {
+  const weth = m.getParameter("weth");
+  const { simpleswap } = m.useModule(SimpleSwapModule);
+
+  const simpleswapETH = m.contract("SimpleSwapETH", [simpleswap, weth]);
+
+  return { simpleswap, simpleswapETH };
+});
+
+module.exports = SimpleSwapETHModule;
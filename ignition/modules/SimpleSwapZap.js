@@ -0,0 +1,13 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+const SimpleSwapModule = require("./SimpleSwap");
+
+//I deploy the zap next to SimpleSwap; like the order book, it needs nothing else
+const SimpleSwapZapModule = buildModule("SimpleSwapZapModule", (m) => {
+  const { simpleswap } = m.useModule(SimpleSwapModule);
+
+  const simpleswapZap = m.contract("SimpleSwapZap", [simpleswap]);
+
+  return { simpleswap, simpleswapZap };
+});
+
+module.exports = SimpleSwapZapModule;
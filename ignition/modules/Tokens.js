@@ -0,0 +1,24 @@
+const { buildModule } = require("@nomicfoundation/hardhat-ignition/modules");
+
+//I deploy Thurisaz and Uruz and mint their initial supply.
+//The deployer always gets "seedSupply" (it is what Pool.js puts in the pool) and each account in "holders" gets "initialSupply".
+//Parameters are only known when the module runs, so I can't loop over the holders here; mintBatch takes the whole list instead.
+//Ignition doesn't resolve accounts inside a default list, so without holders only the deployer is funded.
+const TokensModule = buildModule("TokensModule", (m) => {
+  const deployer = m.getAccount(0);
+  const holders = m.getParameter("holders", []);
+  const initialSupply = m.getParameter("initialSupply", 1_000_000n * 10n ** 18n);
+  const seedSupply = m.getParameter("seedSupply", 1_000_000n * 10n ** 18n);
+
+  const thurisaz = m.contract("Thurisaz");
+  const uruz = m.contract("Uruz");
+
+  for (const [name, token] of [["Thurisaz", thurisaz], ["Uruz", uruz]]) {
+    m.call(token, "mint", [deployer, seedSupply], { id: `mint${name}Seed` });
+    m.call(token, "mintBatch", [holders, initialSupply], { id: `mint${name}Holders` });
+  }
+
+  return { thurisaz, uruz };
+});
+
+module.exports = TokensModule;
@@ -0,0 +1,30 @@
+//I copy the addresses and ABIs of an Ignition deployment to the frontend, so it doesn't need hardcoded addresses for that chain.
+//Usage: node scripts/exportFrontendConfig.js [chainId]   (31337, the local Hardhat node, by default)
+const fs = require("fs");
+const path = require("path");
+
+const chainId = process.argv[2] || "31337";
+const root = path.join(__dirname, "..");
+const deployment = path.join(root, "ignition", "deployments", `chain-${chainId}`);
+const deployedAddresses = path.join(deployment, "deployed_addresses.json");
+const output = path.join(root, "frontend", "src", "config", "deployments", `${chainId}.json`);
+
+if (!fs.existsSync(deployedAddresses)) {
+  console.error(`No Ignition deployment found for chain ${chainId} (${deployedAddresses}).`);
+  process.exit(1);
+}
+
+//Ignition names every contract "<Module>#<Contract>" and keeps its artifact under that same name.
+//The frontend only cares about the contract, in camelCase (a leading acronym is lowercased whole: WETH -> weth).
+const contracts = {};
+const abis = {};
+for (const [futureId, address] of Object.entries(JSON.parse(fs.readFileSync(deployedAddresses, "utf8")))) {
+  const name = futureId.split("#")[1];
+  const key = name.replace(/^[A-Z]+(?=[A-Z][a-z]|$)|^[A-Z]/, (prefix) => prefix.toLowerCase());
+  contracts[key] = address;
+  abis[key] = JSON.parse(fs.readFileSync(path.join(deployment, "artifacts", `${futureId}.json`), "utf8")).abi;
+}
+
+fs.mkdirSync(path.dirname(output), { recursive: true });
+fs.writeFileSync(output, JSON.stringify({ contracts, abis }, null, 2) + "\n");
+console.log(`Wrote ${Object.keys(contracts).length} addresses to ${path.relative(root, output)}`);
@@ -0,0 +1,119 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("LimitOrderBook", function () {
+    let simpleSwap;
+    let orderBook;
+    let thurisaz;
+    let uruz;
+    let owner;
+    let maker;
+    let keeper;
+
+    const parseUnits = ethers.parseUnits;
+    const amountIn = parseUnits("10", 18);
+    const tip = parseUnits("1", 18);
+
+    beforeEach(async function () {
+        [owner, maker, keeper] = await ethers.getSigners();
+
+        thurisaz = await ethers.deployContract("Thurisaz");
+        uruz = await ethers.deployContract("Uruz");
+        simpleSwap = await ethers.deployContract("SimpleSwap");
+        orderBook = await ethers.deployContract("LimitOrderBook", [simpleSwap.target]);
+
+        await thurisaz.mint(owner.address, parseUnits("1000", 18));
+        await uruz.mint(owner.address, parseUnits("1000", 18));
+        await thurisaz.mint(maker.address, parseUnits("100", 18));
+
+        // A 1:1 pool of 100 Thurisaz and 100 Uruz
+        const deadline = (await time.latest()) + 60 * 10;
+        await thurisaz.approve(simpleSwap.target, parseUnits("100", 18));
+        await uruz.approve(simpleSwap.target, parseUnits("100", 18));
+        await simpleSwap.addLiquidity(thurisaz.target, uruz.target, parseUnits("100", 18), parseUnits("100", 18), 0, 0, owner.address, deadline);
+    });
+
+    //The maker sells 10 Thurisaz for at least targetPrice Uruz each
+    async function placeOrder(targetPrice) {
+        const expiry = (await time.latest()) + 60 * 60;
+        await thurisaz.connect(maker).approve(orderBook.target, amountIn + tip);
+        await orderBook.connect(maker).placeOrder(thurisaz.target, uruz.target, amountIn, targetPrice, tip, expiry);
+        return { orderId: (await orderBook.ordersLength()) - 1n, expiry };
+    }
+
+    //Someone buys Thurisaz with Uruz, raising the price of Thurisaz in the pool
+    async function pushPriceUp(amount) {
+        const deadline = (await time.latest()) + 60 * 10;
+        await uruz.approve(simpleSwap.target, amount);
+        await simpleSwap.swapExactTokensForTokens(amount, 1, [uruz.target, thurisaz.target], owner.address, deadline);
+    }
+
+    it("Should escrow the amount and the tip when placing an order", async function () {
+        const targetPrice = parseUnits("1", 18);
+        const expiry = (await time.latest()) + 60 * 60;
+        await thurisaz.connect(maker).approve(orderBook.target, amountIn + tip);
+
+        await expect(orderBook.connect(maker).placeOrder(thurisaz.target, uruz.target, amountIn, targetPrice, tip, expiry))
+            .to.emit(orderBook, "OrderPlaced")
+            .withArgs(0, maker.address, thurisaz.target, uruz.target, amountIn, targetPrice, tip, expiry);
+
+        expect(await thurisaz.balanceOf(orderBook.target)).to.equal(amountIn + tip);
+        expect(await orderBook.getOrdersOf(maker.address)).to.deep.equal([0n]);
+        expect(await orderBook.getOpenOrders(thurisaz.target, uruz.target)).to.deep.equal([0n]);
+        expect(await orderBook.getOpenOrders(uruz.target, thurisaz.target)).to.deep.equal([]);
+    });
+
+    it("Should only fill an order once the pool pays its target price", async function () {
+        // 10 Thurisaz for at least 10 Uruz, but the 1:1 pool pays about 9.07 today
+        const { orderId } = await placeOrder(parseUnits("1", 18));
+        expect(await orderBook.canFill(orderId)).to.equal(false);
+        await expect(orderBook.connect(keeper).fillOrder(orderId)).to.be.revertedWith("Price not reached");
+
+        await pushPriceUp(parseUnits("30", 18));
+        expect(await orderBook.canFill(orderId)).to.equal(true);
+
+        const [reserveIn, reserveOut] = await simpleSwap.getReserves(thurisaz.target, uruz.target);
+        const expectedOut = await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut, 30);
+        expect(expectedOut).to.be.gte(amountIn);
+
+        await expect(orderBook.connect(keeper).fillOrder(orderId))
+            .to.emit(orderBook, "OrderFilled")
+            .withArgs(orderId, keeper.address, expectedOut);
+
+        expect(await uruz.balanceOf(maker.address)).to.equal(expectedOut);
+        expect(await thurisaz.balanceOf(keeper.address)).to.equal(tip);
+        expect(await thurisaz.balanceOf(orderBook.target)).to.equal(0);
+        expect((await orderBook.orders(orderId)).status).to.equal(1);
+        expect(await orderBook.getOpenOrders(thurisaz.target, uruz.target)).to.deep.equal([]);
+        await expect(orderBook.connect(keeper).fillOrder(orderId)).to.be.revertedWith("Order not open");
+    });
+
+    it("Should not fill expired orders, and let the maker cancel them", async function () {
+        const { orderId, expiry } = await placeOrder(parseUnits("0.5", 18));
+        await time.increaseTo(expiry + 1);
+
+        await expect(orderBook.connect(keeper).fillOrder(orderId)).to.be.revertedWith("Order expired");
+        expect(await orderBook.getOpenOrders(thurisaz.target, uruz.target)).to.deep.equal([]);
+
+        await expect(orderBook.connect(keeper).cancelOrder(orderId)).to.be.revertedWith("Not the maker");
+        const cancel = orderBook.connect(maker).cancelOrder(orderId);
+        await expect(cancel).to.emit(orderBook, "OrderCancelled").withArgs(orderId);
+        await expect(cancel).to.changeTokenBalance(thurisaz, maker, amountIn + tip);
+        await expect(orderBook.connect(maker).cancelOrder(orderId)).to.be.revertedWith("Order not open");
+    });
+
+    it("Should revert invalid orders", async function () {
+        const expiry = (await time.latest()) + 60 * 60;
+        await thurisaz.connect(maker).approve(orderBook.target, amountIn + tip);
+
+        await expect(orderBook.connect(maker).placeOrder(thurisaz.target, maker.address, amountIn, 1, tip, expiry))
+            .to.be.revertedWith("Pair does not exist");
+        await expect(orderBook.connect(maker).placeOrder(thurisaz.target, uruz.target, 0, parseUnits("1", 18), tip, expiry))
+            .to.be.revertedWith("Zero amountIn");
+        await expect(orderBook.connect(maker).placeOrder(thurisaz.target, uruz.target, amountIn, 0, tip, expiry))
+            .to.be.revertedWith("Target price too low");
+        await expect(orderBook.connect(maker).placeOrder(thurisaz.target, uruz.target, amountIn, parseUnits("1", 18), tip, await time.latest()))
+            .to.be.revertedWith("Invalid expiry");
+    });
+});
@@ -0,0 +1,58 @@
+const { expect } = require("chai");
+const { ethers, ignition } = require("hardhat");
+const PoolModule = require("../ignition/modules/Pool");
+const LocalPoolModule = require("../ignition/modules/LocalPool");
+
+describe("Pool deployment module", function () {
+    it("Should deploy the tokens, SimpleSwap and the local ETH router and seed the pool at the given ratio", async function () {
+        const [owner, holder, otherHolder] = await ethers.getSigners();
+        const seedThurisaz = ethers.parseUnits("1000", 18);
+        const seedUruz = ethers.parseUnits("2000", 18);
+        const initialSupply = ethers.parseUnits("500", 18);
+
+        const { thurisaz, uruz, simpleswap, weth, simpleswapETH, limitOrderBook, simpleswapZap } = await ignition.deploy(LocalPoolModule, {
+            parameters: {
+                TokensModule: { holders: [holder.address, otherHolder.address], initialSupply },
+                PoolModule: { seedThurisaz, seedUruz },
+            },
+        });
+
+        const thurisazAddress = await thurisaz.getAddress();
+        const uruzAddress = await uruz.getAddress();
+        expect(await simpleswap.reserve(thurisazAddress, uruzAddress)).to.equal(seedThurisaz);
+        expect(await simpleswap.reserve(uruzAddress, thurisazAddress)).to.equal(seedUruz);
+        expect(await thurisaz.balanceOf(holder.address)).to.equal(initialSupply);
+        expect(await uruz.balanceOf(holder.address)).to.equal(initialSupply);
+        expect(await thurisaz.balanceOf(otherHolder.address)).to.equal(initialSupply);
+        expect(await uruz.balanceOf(otherHolder.address)).to.equal(initialSupply);
+
+        const ltk = await ethers.getContractAt("LiquidityToken", await simpleswap.liquidityToken(thurisazAddress, uruzAddress));
+        expect(await ltk.balanceOf(owner.address)).to.be.gt(0n);
+
+        expect(await simpleswapETH.simpleSwap()).to.equal(simpleswap.target);
+        expect(await simpleswapETH.WETH()).to.equal(weth.target);
+        expect(await limitOrderBook.simpleSwap()).to.equal(simpleswap.target);
+        expect(await simpleswapZap.simpleSwap()).to.equal(simpleswap.target);
+    });
+
+    it("Should only fund the deployer when no holders are given", async function () {
+        const [owner] = await ethers.getSigners();
+        const initialSupply = ethers.parseUnits("500", 18);
+        const seedSupply = ethers.parseUnits("30000", 18);
+        const seedThurisaz = ethers.parseUnits("1000", 18);
+        const seedUruz = ethers.parseUnits("2000", 18);
+
+        const deployed = await ignition.deploy(PoolModule, {
+            parameters: {
+                TokensModule: { initialSupply, seedSupply },
+                PoolModule: { seedThurisaz, seedUruz },
+            },
+        });
+
+        expect(await deployed.thurisaz.balanceOf(owner.address)).to.equal(seedSupply - seedThurisaz);
+        expect(await deployed.thurisaz.totalSupply()).to.equal(seedSupply);
+        // The generic module leaves the ETH router, and the mock WETH, to the network specific ones
+        expect(deployed.weth).to.equal(undefined);
+        expect(deployed.simpleswapETH).to.equal(undefined);
+    });
+});
@@ -1,5 +1,6 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 //This is the square root function I used in the contract, so I'm bringing it here for consistency
 function sqrtBigInt(n) {
@@ -14,6 +15,17 @@ function sqrtBigInt(n) {
     return y;
 }
 
+//Same constant product formula as getAmountOut, with the fee expressed in basis points
+function getAmountOutWithFee(amountIn, reserveIn, reserveOut, fee) {
+    const amountInWithFee = amountIn * (10000n - fee);
+    return (amountInWithFee * reserveOut) / (reserveIn * 10000n + amountInWithFee);
+}
+
+//And the inverse one, as getAmountIn (rounded up)
+function getAmountInWithFee(amountOut, reserveIn, reserveOut, fee) {
+    return (reserveIn * amountOut * 10000n) / ((reserveOut - amountOut) * (10000n - fee)) + 1n;
+}
+
 describe("SimpleSwap", function () {
     let SimpleSwap;
     let simpleSwap;
@@ -24,6 +36,7 @@ describe("SimpleSwap", function () {
     let uruz;
     let Thurisaz;
     let Uruz;
+    let otherToken;
 
     const parseUnits = ethers.parseUnits;
     const formatUnits = ethers.formatUnits;
@@ -51,19 +64,64 @@ describe("SimpleSwap", function () {
         await uruz.mint(owner.address, parseUnits("1000", 18));
         await thurisaz.mint(addr1.address, parseUnits("500", 18));
         await uruz.mint(addr1.address, parseUnits("500", 18));
+
+        // A second Thurisaz deployment works as a third token, so I can test a second pair
+        otherToken = await Thurisaz.deploy();
+        await otherToken.waitForDeployment();
+        await otherToken.mint(owner.address, parseUnits("1000", 18));
+        await otherToken.mint(addr1.address, parseUnits("500", 18));
     });
 
+    //Each pair has its own liquidity token, so I fetch the one SimpleSwap deployed for it
+    async function getLiquidityToken(tokenA, tokenB) {
+        const liquidityTokenAddress = await simpleSwap.liquidityToken(tokenA.target, tokenB.target);
+        return ethers.getContractAt("LiquidityToken", liquidityTokenAddress);
+    }
+
+    //Signs an EIP-2612 permit, for SimpleSwap unless another spender is given, in the format its *WithPermit functions expect
+    async function signPermit(token, signer, value, deadline, spender = simpleSwap.target) {
+        const { chainId } = await ethers.provider.getNetwork();
+        const domain = {
+            name: await token.name(),
+            version: "1",
+            chainId,
+            verifyingContract: token.target,
+        };
+        const types = {
+            Permit: [
+                { name: "owner", type: "address" },
+                { name: "spender", type: "address" },
+                { name: "value", type: "uint256" },
+                { name: "nonce", type: "uint256" },
+                { name: "deadline", type: "uint256" },
+            ],
+        };
+        const message = {
+            owner: signer.address,
+            spender,
+            value,
+            nonce: await token.nonces(signer.address),
+            deadline,
+        };
+        const { v, r, s } = ethers.Signature.from(await signer.signTypedData(domain, types, message));
+        return { value, deadline, v, r, s };
+    }
+
     describe("addLiquidity", function () {
         it("Should add initial liquidity and mint LTK tokens", async function () {
             const amountA = parseUnits("100", 18);
             const amountB = parseUnits("200", 18);
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10; // 10 minutes from now
+            const deadline = (await time.latest()) + 60 * 10; // 10 minutes from now
 
             // Approve SimpleSwap to spend tokens
             await thurisaz.approve(simpleSwap.target, amountA);
             await uruz.approve(simpleSwap.target, amountB);
 
             const expectedLtkMinted = sqrtBigInt(amountA * amountB);
+            // The event logs the pair sorted by address, whatever order the tokens were deployed in
+            const thurisazFirst = BigInt(thurisaz.target) < BigInt(uruz.target);
+            const expectedTokens = thurisazFirst ? [thurisaz.target, uruz.target] : [uruz.target, thurisaz.target];
+            const expectedAmounts = thurisazFirst ? [amountA, amountB] : [amountB, amountA];
 
             // I wait for the event to be written to know that it has ended
             await expect(simpleSwap.addLiquidity(
@@ -76,13 +134,14 @@ describe("SimpleSwap", function () {
                 owner.address,
                 deadline
             )).to.emit(simpleSwap, "LiquidityAdded")
-              .withArgs(owner.address, owner.address, thurisaz.target, uruz.target, amountA, amountB, expectedLtkMinted); 
+              .withArgs(owner.address, owner.address, ...expectedTokens, ...expectedAmounts, expectedLtkMinted);
 
-            const liquidityTokenSupply = await simpleSwap.totalSupply();
+            const liquidityToken = await getLiquidityToken(thurisaz, uruz);
+            const liquidityTokenSupply = await liquidityToken.totalSupply();
             // Expect the value of liquidityTokenSupply to be strictly greater than zero.
             expect(liquidityTokenSupply).to.be.gt(0);
             // Expect the liquidity token balance of the person who contributed liquidity to the pool to be greater than 0
-            expect(await simpleSwap.balanceOf(owner.address)).to.be.gt(0);
+            expect(await liquidityToken.balanceOf(owner.address)).to.be.gt(0);
             // Check reserves
             expect(await simpleSwap.reserve(thurisaz.target, uruz.target)).to.equal(amountA);
             expect(await simpleSwap.reserve(uruz.target, thurisaz.target)).to.equal(amountB);
@@ -92,7 +151,7 @@ describe("SimpleSwap", function () {
             // Add initial liquidity
             const initialAmountA = parseUnits("100", 18);
             const initialAmountB = parseUnits("200", 18);
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
 
             await thurisaz.approve(simpleSwap.target, initialAmountA);
             await uruz.approve(simpleSwap.target, initialAmountB);
@@ -105,8 +164,9 @@ describe("SimpleSwap", function () {
             await thurisaz.approve(simpleSwap.target, addAmountA);
             await uruz.approve(simpleSwap.target, addAmountB);
 
-            const initialLTKSupply = await simpleSwap.totalSupply();
-            const initialOwnerLTKBalance = await simpleSwap.balanceOf(owner.address);
+            const liquidityToken = await getLiquidityToken(thurisaz, uruz);
+            const initialLTKSupply = await liquidityToken.totalSupply();
+            const initialOwnerLTKBalance = await liquidityToken.balanceOf(owner.address);
 
             await expect(simpleSwap.addLiquidity(
                 thurisaz.target,
@@ -120,8 +180,8 @@ describe("SimpleSwap", function () {
             )).to.emit(simpleSwap, "LiquidityAdded");
 
             // Check if LTK tokens were minted proportionally
-            const finalLTKSupply = await simpleSwap.totalSupply();
-            const finalOwnerLTKBalance = await simpleSwap.balanceOf(owner.address);
+            const finalLTKSupply = await liquidityToken.totalSupply();
+            const finalOwnerLTKBalance = await liquidityToken.balanceOf(owner.address);
 
             expect(finalLTKSupply).to.be.gt(initialLTKSupply);
             expect(finalOwnerLTKBalance).to.be.gt(initialOwnerLTKBalance);
@@ -134,7 +194,7 @@ describe("SimpleSwap", function () {
         it("Should revert if deadline is exceeded", async function () {
             const amountA = parseUnits("100", 18);
             const amountB = parseUnits("200", 18);
-            const deadline = Math.floor(Date.now() / 1000) - 10; // 10 seconds in the past
+            const deadline = (await time.latest()) - 10; // 10 seconds in the past
 
             await thurisaz.approve(simpleSwap.target, amountA);
             await uruz.approve(simpleSwap.target, amountB);
@@ -154,7 +214,7 @@ describe("SimpleSwap", function () {
         it("Should revert if amountADesired is too low", async function () {
             const amountA = parseUnits("100", 18);
             const amountB = parseUnits("200", 18);
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
 
             await thurisaz.approve(simpleSwap.target, amountA);
             await uruz.approve(simpleSwap.target, amountB);
@@ -174,7 +234,7 @@ describe("SimpleSwap", function () {
         it("Should revert if amountBDesired is too low", async function () {
             const amountA = parseUnits("100", 18);
             const amountB = parseUnits("200", 18);
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
 
             await thurisaz.approve(simpleSwap.target, amountA);
             await uruz.approve(simpleSwap.target, amountB);
@@ -195,7 +255,7 @@ describe("SimpleSwap", function () {
             // Add initial liquidity
             const initialAmountA = parseUnits("100", 18);
             const initialAmountB = parseUnits("200", 18);
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
 
             await thurisaz.approve(simpleSwap.target, initialAmountA);
             await uruz.approve(simpleSwap.target, initialAmountB);
@@ -219,6 +279,53 @@ describe("SimpleSwap", function () {
                 deadline
             )).to.be.revertedWith("Amounts do not meet constraints");
         });
+
+        it("Should mint a separate liquidity token for each pair", async function () {
+            const amountA = parseUnits("100", 18);
+            const amountB = parseUnits("200", 18);
+            const amountC = parseUnits("10", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            await thurisaz.approve(simpleSwap.target, amountA + amountC);
+            await uruz.approve(simpleSwap.target, amountB);
+            await otherToken.approve(simpleSwap.target, amountC);
+            await simpleSwap.addLiquidity(thurisaz.target, uruz.target, amountA, amountB, amountA, amountB, owner.address, deadline);
+            await simpleSwap.addLiquidity(thurisaz.target, otherToken.target, amountC, amountC, amountC, amountC, owner.address, deadline);
+
+            const firstLiquidityToken = await getLiquidityToken(thurisaz, uruz);
+            const secondLiquidityToken = await getLiquidityToken(thurisaz, otherToken);
+
+            // Both directions of a pair share the same liquidity token, but different pairs do not
+            expect(await simpleSwap.liquidityToken(uruz.target, thurisaz.target)).to.equal(firstLiquidityToken.target);
+            expect(firstLiquidityToken.target).to.not.equal(secondLiquidityToken.target);
+
+            expect(await firstLiquidityToken.totalSupply()).to.equal(sqrtBigInt(amountA * amountB));
+            expect(await secondLiquidityToken.totalSupply()).to.equal(sqrtBigInt(amountC * amountC));
+        });
+
+        it("Should calculate liquidity of an existing pool against that pair's supply only", async function () {
+            const amountA = parseUnits("100", 18);
+            const amountB = parseUnits("200", 18);
+            const amountC = parseUnits("10", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            await thurisaz.approve(simpleSwap.target, amountA);
+            await uruz.approve(simpleSwap.target, amountB);
+            await simpleSwap.addLiquidity(thurisaz.target, uruz.target, amountA, amountB, amountA, amountB, owner.address, deadline);
+
+            await thurisaz.approve(simpleSwap.target, amountC);
+            await otherToken.approve(simpleSwap.target, amountC);
+            await simpleSwap.addLiquidity(thurisaz.target, otherToken.target, amountC, amountC, amountC, amountC, owner.address, deadline);
+
+            // Doubling the second pool should double its supply, no matter how big the first pool is
+            await thurisaz.connect(addr1).approve(simpleSwap.target, amountC);
+            await otherToken.connect(addr1).approve(simpleSwap.target, amountC);
+            await simpleSwap.connect(addr1).addLiquidity(thurisaz.target, otherToken.target, amountC, amountC, 0, 0, addr1.address, deadline);
+
+            const secondLiquidityToken = await getLiquidityToken(thurisaz, otherToken);
+            expect(await secondLiquidityToken.balanceOf(addr1.address)).to.equal(amountC);
+            expect(await secondLiquidityToken.totalSupply()).to.equal(amountC * 2n);
+        });
     });
 
     describe("removeLiquidity", function () {
@@ -226,7 +333,7 @@ describe("SimpleSwap", function () {
             // Add initial liquidity for testing removal
             const amountA = parseUnits("100", 18);
             const amountB = parseUnits("200", 18);
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
 
             await thurisaz.approve(simpleSwap.target, amountA);
             await uruz.approve(simpleSwap.target, amountB);
@@ -234,11 +341,12 @@ describe("SimpleSwap", function () {
         });
 
         it("Should remove liquidity and return tokens", async function () {
-            const liquidityToRemove = await simpleSwap.balanceOf(owner.address);
+            const liquidityToken = await getLiquidityToken(thurisaz, uruz);
+            const liquidityToRemove = await liquidityToken.balanceOf(owner.address);
             const ownerThurisazBalanceBefore = await thurisaz.balanceOf(owner.address);
             const ownerUruzBalanceBefore = await uruz.balanceOf(owner.address);
 
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
 
             await expect(simpleSwap.removeLiquidity(
                 thurisaz.target,
@@ -251,8 +359,8 @@ describe("SimpleSwap", function () {
             )).to.emit(simpleSwap, "LiquidityRemoved");
 
             // Check if LTK tokens were burned
-            expect(await simpleSwap.balanceOf(owner.address)).to.equal(0);
-            expect(await simpleSwap.totalSupply()).to.equal(0); // If all liquidity removed
+            expect(await liquidityToken.balanceOf(owner.address)).to.equal(0);
+            expect(await liquidityToken.totalSupply()).to.equal(0); // If all liquidity removed
 
             // Check if tokens were returned
             expect(await thurisaz.balanceOf(owner.address)).to.be.gt(ownerThurisazBalanceBefore);
@@ -263,8 +371,23 @@ describe("SimpleSwap", function () {
             expect(await simpleSwap.reserve(uruz.target, thurisaz.target)).to.equal(0);
         });
 
+        it("Should log each amount next to its token, whatever the order they were given in", async function () {
+            const liquidityToken = await getLiquidityToken(thurisaz, uruz);
+            const liquidity = await liquidityToken.balanceOf(owner.address);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            // Tokens are logged in normalized order
+            const [tokenA, tokenB] = thurisaz.target < uruz.target ? [thurisaz.target, uruz.target] : [uruz.target, thurisaz.target];
+            const amountA = tokenA === thurisaz.target ? parseUnits("100", 18) : parseUnits("200", 18);
+            const amountB = tokenA === thurisaz.target ? parseUnits("200", 18) : parseUnits("100", 18);
+
+            await expect(simpleSwap.removeLiquidity(uruz.target, thurisaz.target, liquidity, 0, 0, owner.address, deadline))
+                .to.emit(simpleSwap, "LiquidityRemoved")
+                .withArgs(owner.address, owner.address, liquidity, tokenA, tokenB, amountA, amountB);
+        });
+
         it("Should revert if zero liquidity is provided", async function () {
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
             await expect(simpleSwap.removeLiquidity(
                 thurisaz.target,
                 uruz.target,
@@ -277,8 +400,9 @@ describe("SimpleSwap", function () {
         });
 
         it("Should revert if amountA received is too low", async function () {
-            const liquidityToRemove = await simpleSwap.balanceOf(owner.address);
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const liquidityToken = await getLiquidityToken(thurisaz, uruz);
+            const liquidityToRemove = await liquidityToken.balanceOf(owner.address);
+            const deadline = (await time.latest()) + 60 * 10;
 
             // Try to remove liquidity with a minAmountA higher than what will be returned
             await expect(simpleSwap.removeLiquidity(
@@ -293,8 +417,9 @@ describe("SimpleSwap", function () {
         });
 
         it("Should revert if amountB received is too low", async function () {
-            const liquidityToRemove = await simpleSwap.balanceOf(owner.address);
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const liquidityToken = await getLiquidityToken(thurisaz, uruz);
+            const liquidityToRemove = await liquidityToken.balanceOf(owner.address);
+            const deadline = (await time.latest()) + 60 * 10;
 
             await expect(simpleSwap.removeLiquidity(
                 thurisaz.target,
@@ -308,8 +433,9 @@ describe("SimpleSwap", function () {
         });
 
         it("Should revert if deadline is exceeded", async function () {
-            const liquidityToRemove = await simpleSwap.balanceOf(owner.address);
-            const deadline = Math.floor(Date.now() / 1000) - 10; // 10 seconds in the past
+            const liquidityToken = await getLiquidityToken(thurisaz, uruz);
+            const liquidityToRemove = await liquidityToken.balanceOf(owner.address);
+            const deadline = (await time.latest()) - 10; // 10 seconds in the past
 
             await expect(simpleSwap.removeLiquidity(
                 thurisaz.target,
@@ -321,6 +447,60 @@ describe("SimpleSwap", function () {
                 deadline
             )).to.be.revertedWith("Transaction expired");
         });
+
+        it("Should revert if the pair does not exist", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await expect(simpleSwap.removeLiquidity(
+                thurisaz.target,
+                otherToken.target,
+                1,
+                0,
+                0,
+                owner.address,
+                deadline
+            )).to.be.revertedWith("Pair does not exist");
+        });
+
+        it("Should not let liquidity tokens of one pair drain another pair", async function () {
+            const amountC = parseUnits("10", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            // addr1 only provides liquidity to the second pair
+            await thurisaz.connect(addr1).approve(simpleSwap.target, amountC);
+            await otherToken.connect(addr1).approve(simpleSwap.target, amountC);
+            await simpleSwap.connect(addr1).addLiquidity(thurisaz.target, otherToken.target, amountC, amountC, amountC, amountC, addr1.address, deadline);
+
+            const firstLiquidityToken = await getLiquidityToken(thurisaz, uruz);
+            const secondLiquidityToken = await getLiquidityToken(thurisaz, otherToken);
+            const liquidity = await secondLiquidityToken.balanceOf(addr1.address);
+
+            // Its liquidity tokens are worthless against the first pair
+            await expect(simpleSwap.connect(addr1).removeLiquidity(
+                thurisaz.target,
+                uruz.target,
+                liquidity,
+                0,
+                0,
+                addr1.address,
+                deadline
+            )).to.be.revertedWithCustomError(firstLiquidityToken, "ERC20InsufficientBalance");
+
+            // But they withdraw exactly what was deposited in the second pair
+            await expect(simpleSwap.connect(addr1).removeLiquidity(
+                thurisaz.target,
+                otherToken.target,
+                liquidity,
+                amountC,
+                amountC,
+                addr1.address,
+                deadline
+            )).to.emit(simpleSwap, "LiquidityRemoved");
+
+            // The first pair is left untouched
+            expect(await simpleSwap.reserve(thurisaz.target, uruz.target)).to.equal(parseUnits("100", 18));
+            expect(await simpleSwap.reserve(uruz.target, thurisaz.target)).to.equal(parseUnits("200", 18));
+            expect(await secondLiquidityToken.totalSupply()).to.equal(0);
+        });
     });
 
     describe("swapExactTokensForTokens", function () {
@@ -328,7 +508,7 @@ describe("SimpleSwap", function () {
             // Add initial liquidity for testing swaps
             const amountA = parseUnits("100", 18);
             const amountB = parseUnits("200", 18);
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
 
             await uruz.approve(simpleSwap.target, amountA);
             await thurisaz.approve(simpleSwap.target, amountB);
@@ -345,12 +525,14 @@ describe("SimpleSwap", function () {
             const reserveIn = await simpleSwap.reserve(tokenInContract.target, tokenOutContract.target);
             const reserveOut = await simpleSwap.reserve(tokenOutContract.target, tokenInContract.target);
 
-            const expectedAmountOut = (swapAmountIn * reserveOut) / (reserveIn + swapAmountIn);
+            const fee = await simpleSwap.swapFee(tokenInContract.target, tokenOutContract.target);
+
+            const expectedAmountOut = getAmountOutWithFee(swapAmountIn, reserveIn, reserveOut, fee);
 
             const amountOutMin = expectedAmountOut - (expectedAmountOut / BigInt(1000)); // 0.1% slippage tolerance
 
             const path = [tokenInContract.target, tokenOutContract.target];
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
             const tokenInName = (tokenInContract.target === thurisaz.target) ? "Thurisaz" : "Uruz";
             const tokenOutName = (tokenOutContract.target === thurisaz.target) ? "Thurisaz" : "Uruz";
             
@@ -408,6 +590,9 @@ describe("SimpleSwap", function () {
             expect(ownerTokenOutBalanceAfter).to.equal(ownerTokenOutBalanceBefore + actualAmountOutFromContract);
             // The contract reserve should have decreased by the current AmountOutFromContract
             expect(contractTokenOutBalanceAfter).to.equal(contractTokenOutBalanceBefore - actualAmountOutFromContract);
+            // The internal bookkeeping must follow the same movement, whatever the token order is
+            expect(await simpleSwap.reserve(tokenInContract.target, tokenOutContract.target)).to.equal(reserveIn + swapAmountIn);
+            expect(await simpleSwap.reserve(tokenOutContract.target, tokenInContract.target)).to.equal(reserveOut - actualAmountOutFromContract);
         }
 
         it("Should swap exact amount of Thurisaz for Uruz", async function () {
@@ -432,7 +617,7 @@ describe("SimpleSwap", function () {
             const amountIn = 0;
             const amountOutMin = parseUnits("1", 18);
             const path = [thurisaz.target, uruz.target];
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
 
             await expect(simpleSwap.swapExactTokensForTokens(
                 amountIn,
@@ -447,7 +632,7 @@ describe("SimpleSwap", function () {
             const amountIn = parseUnits("10", 18);
             const amountOutMin = 0;
             const path = [thurisaz.target, uruz.target];
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
 
             await expect(simpleSwap.swapExactTokensForTokens(
                 amountIn,
@@ -458,10 +643,10 @@ describe("SimpleSwap", function () {
             )).to.be.revertedWith("Zero amountOutMin");
         });
 
-        it("Should revert if path length is not 2", async function () {
+        it("Should revert if path has less than 2 tokens", async function () {
             const amountIn = parseUnits("10", 18);
             const amountOutMin = parseUnits("1", 18);
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
 
             await expect(simpleSwap.swapExactTokensForTokens(
                 amountIn,
@@ -469,19 +654,19 @@ describe("SimpleSwap", function () {
                 [thurisaz.target], // Path length 1
                 owner.address,
                 deadline
-            )).to.be.revertedWith("Only 1-pair swaps allowed");
+            )).to.be.revertedWith("Invalid path");
 
             await expect(simpleSwap.swapExactTokensForTokens(
                 amountIn,
                 amountOutMin,
-                [thurisaz.target, uruz.target, thurisaz.target], // Path length 3
+                [], // Path length 0
                 owner.address,
                 deadline
-            )).to.be.revertedWith("Only 1-pair swaps allowed");
+            )).to.be.revertedWith("Invalid path");
         });
 
         it("Should revert if reserves are empty", async function () {
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
             // Deploy a new SimpleSwap instance without liquidity
             const newSimpleSwap = await SimpleSwap.deploy();
             await newSimpleSwap.waitForDeployment();
@@ -501,9 +686,9 @@ describe("SimpleSwap", function () {
 
         it("Should revert if slippage exceeded (amountOut < amountOutMin)", async function () {
             const swapAmountIn = parseUnits("10", 18);
-            const amountOutMin = parseUnits("20", 18); // This value should indeed be higher than the calculated output (~18.18)
+            const amountOutMin = parseUnits("20", 18); // This value should indeed be higher than the calculated output (~18.13)
             const path = [thurisaz.target, uruz.target];
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
 
             await thurisaz.approve(simpleSwap.target, swapAmountIn);
 
@@ -520,7 +705,7 @@ describe("SimpleSwap", function () {
             const swapAmountIn = parseUnits("10", 18);
             const amountOutMin = parseUnits("1", 18);
             const path = [thurisaz.target, uruz.target];
-            const deadline = Math.floor(Date.now() / 1000) - 10; // 10 seconds in the past
+            const deadline = (await time.latest()) - 10; // 10 seconds in the past
 
             await thurisaz.approve(simpleSwap.target, swapAmountIn);
 
@@ -537,7 +722,7 @@ describe("SimpleSwap", function () {
             const swapAmountIn = parseUnits("10", 18);
             const amountOutMin = parseUnits("1", 18);
             const path = [thurisaz.target, thurisaz.target]; // Same token
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
 
             await thurisaz.approve(simpleSwap.target, swapAmountIn);
 
@@ -551,12 +736,382 @@ describe("SimpleSwap", function () {
         });
     });
 
+    describe("multi-hop swaps", function () {
+        beforeEach(async function () {
+            // otherToken only has liquidity against Uruz, so Thurisaz needs to go through Uruz to reach it
+            const amountA = parseUnits("100", 18);
+            const amountB = parseUnits("200", 18);
+            const amountC = parseUnits("400", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            await thurisaz.approve(simpleSwap.target, amountA);
+            await uruz.approve(simpleSwap.target, amountB * 2n);
+            await otherToken.approve(simpleSwap.target, amountC);
+            await simpleSwap.addLiquidity(thurisaz.target, uruz.target, amountA, amountB, amountA, amountB, owner.address, deadline);
+            await simpleSwap.addLiquidity(uruz.target, otherToken.target, amountB, amountC, amountB, amountC, owner.address, deadline);
+        });
+
+        it("Should quote every hop of the path", async function () {
+            const amountIn = parseUnits("10", 18);
+            const path = [thurisaz.target, uruz.target, otherToken.target];
+
+            const firstHop = getAmountOutWithFee(amountIn, parseUnits("100", 18), parseUnits("200", 18), 30n);
+            const secondHop = getAmountOutWithFee(firstHop, parseUnits("200", 18), parseUnits("400", 18), 30n);
+
+            const amounts = await simpleSwap.getAmountsOut(amountIn, path);
+            expect(amounts).to.deep.equal([amountIn, firstHop, secondHop]);
+        });
+
+        it("Should swap through an intermediate pair", async function () {
+            const amountIn = parseUnits("10", 18);
+            const path = [thurisaz.target, uruz.target, otherToken.target];
+            const deadline = (await time.latest()) + 60 * 10;
+
+            const quotedAmounts = await simpleSwap.getAmountsOut(amountIn, path);
+            const uruzBalanceBefore = await uruz.balanceOf(owner.address);
+            const otherTokenBalanceBefore = await otherToken.balanceOf(owner.address);
+
+            await thurisaz.approve(simpleSwap.target, amountIn);
+            await expect(simpleSwap.swapExactTokensForTokens(amountIn, quotedAmounts[2], path, owner.address, deadline))
+                .to.emit(simpleSwap, "SwapExecuted")
+                .withArgs(owner.address, owner.address, path, quotedAmounts);
+
+            // The user only receives the last token, the intermediate one never leaves the contract
+            expect(await otherToken.balanceOf(owner.address)).to.equal(otherTokenBalanceBefore + quotedAmounts[2]);
+            expect(await uruz.balanceOf(owner.address)).to.equal(uruzBalanceBefore);
+
+            // Both pairs are updated with the amounts of their hop
+            expect(await simpleSwap.reserve(thurisaz.target, uruz.target)).to.equal(parseUnits("100", 18) + amountIn);
+            expect(await simpleSwap.reserve(uruz.target, thurisaz.target)).to.equal(parseUnits("200", 18) - quotedAmounts[1]);
+            expect(await simpleSwap.reserve(uruz.target, otherToken.target)).to.equal(parseUnits("200", 18) + quotedAmounts[1]);
+            expect(await simpleSwap.reserve(otherToken.target, uruz.target)).to.equal(parseUnits("400", 18) - quotedAmounts[2]);
+        });
+
+        it("Should swap back along the reversed path", async function () {
+            const amountIn = parseUnits("10", 18);
+            const path = [otherToken.target, uruz.target, thurisaz.target];
+            const deadline = (await time.latest()) + 60 * 10;
+
+            const quotedAmounts = await simpleSwap.getAmountsOut(amountIn, path);
+            const thurisazBalanceBefore = await thurisaz.balanceOf(owner.address);
+
+            await otherToken.approve(simpleSwap.target, amountIn);
+            const amounts = await simpleSwap.swapExactTokensForTokens.staticCall(amountIn, 1, path, owner.address, deadline);
+            await simpleSwap.swapExactTokensForTokens(amountIn, 1, path, owner.address, deadline);
+
+            expect(amounts).to.deep.equal(quotedAmounts);
+            expect(await thurisaz.balanceOf(owner.address)).to.equal(thurisazBalanceBefore + quotedAmounts[2]);
+        });
+
+        it("Should revert if the final amount is below amountOutMin", async function () {
+            const amountIn = parseUnits("10", 18);
+            const path = [thurisaz.target, uruz.target, otherToken.target];
+            const deadline = (await time.latest()) + 60 * 10;
+
+            const quotedAmounts = await simpleSwap.getAmountsOut(amountIn, path);
+
+            await thurisaz.approve(simpleSwap.target, amountIn);
+            await expect(simpleSwap.swapExactTokensForTokens(amountIn, quotedAmounts[2] + 1n, path, owner.address, deadline))
+                .to.be.revertedWith("Slippage exceeded");
+        });
+
+        it("Should revert if a path reuses a pair at a stale price", async function () {
+            // Thurisaz -> Uruz happens twice, the second time it would be quoted on the reserves before the first one
+            const otherAmount = parseUnits("400", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+            await thurisaz.approve(simpleSwap.target, otherAmount);
+            await otherToken.approve(simpleSwap.target, otherAmount);
+            await simpleSwap.addLiquidity(otherToken.target, thurisaz.target, otherAmount, otherAmount, otherAmount, otherAmount, owner.address, deadline);
+
+            const amountIn = parseUnits("50", 18);
+            const path = [thurisaz.target, uruz.target, otherToken.target, thurisaz.target, uruz.target];
+
+            await thurisaz.approve(simpleSwap.target, amountIn);
+            await expect(simpleSwap.swapExactTokensForTokens(amountIn, 1, path, owner.address, deadline))
+                .to.be.revertedWith("Invariant violated");
+        });
+
+        it("Should revert if a hop has no liquidity", async function () {
+            const amountIn = parseUnits("10", 18);
+            const path = [uruz.target, thurisaz.target, otherToken.target];
+
+            await expect(simpleSwap.getAmountsOut(amountIn, path)).to.be.revertedWith("Empty reserves");
+        });
+    });
+
+    describe("swapTokensForExactTokens", function () {
+        beforeEach(async function () {
+            // Thurisaz/Uruz pool, plus an Uruz/otherToken pool for multi-hop routes
+            const amountA = parseUnits("100", 18);
+            const amountB = parseUnits("200", 18);
+            const amountC = parseUnits("400", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            await thurisaz.approve(simpleSwap.target, amountA);
+            await uruz.approve(simpleSwap.target, amountB * 2n);
+            await otherToken.approve(simpleSwap.target, amountC);
+            await simpleSwap.addLiquidity(thurisaz.target, uruz.target, amountA, amountB, amountA, amountB, owner.address, deadline);
+            await simpleSwap.addLiquidity(uruz.target, otherToken.target, amountB, amountC, amountB, amountC, owner.address, deadline);
+        });
+
+        it("Should receive exactly amountOut spending the quoted input", async function () {
+            const amountOut = parseUnits("10", 18);
+            const path = [thurisaz.target, uruz.target];
+            const deadline = (await time.latest()) + 60 * 10;
+
+            const expectedAmountIn = getAmountInWithFee(amountOut, parseUnits("100", 18), parseUnits("200", 18), 30n);
+            const thurisazBalanceBefore = await thurisaz.balanceOf(owner.address);
+            const uruzBalanceBefore = await uruz.balanceOf(owner.address);
+
+            await thurisaz.approve(simpleSwap.target, expectedAmountIn);
+            await expect(simpleSwap.swapTokensForExactTokens(amountOut, expectedAmountIn, path, owner.address, deadline))
+                .to.emit(simpleSwap, "SwapExecuted")
+                .withArgs(owner.address, owner.address, path, [expectedAmountIn, amountOut]);
+
+            expect(await thurisaz.balanceOf(owner.address)).to.equal(thurisazBalanceBefore - expectedAmountIn);
+            expect(await uruz.balanceOf(owner.address)).to.equal(uruzBalanceBefore + amountOut);
+            expect(await simpleSwap.reserve(thurisaz.target, uruz.target)).to.equal(parseUnits("100", 18) + expectedAmountIn);
+            expect(await simpleSwap.reserve(uruz.target, thurisaz.target)).to.equal(parseUnits("190", 18));
+        });
+
+        it("Should receive exactly amountOut along the reversed path", async function () {
+            const amountOut = parseUnits("10", 18);
+            const path = [uruz.target, thurisaz.target];
+            const deadline = (await time.latest()) + 60 * 10;
+
+            const quotedAmounts = await simpleSwap.getAmountsIn(amountOut, path);
+            const thurisazBalanceBefore = await thurisaz.balanceOf(owner.address);
+
+            await uruz.approve(simpleSwap.target, quotedAmounts[0]);
+            await simpleSwap.swapTokensForExactTokens(amountOut, quotedAmounts[0], path, owner.address, deadline);
+
+            expect(quotedAmounts[0]).to.equal(getAmountInWithFee(amountOut, parseUnits("200", 18), parseUnits("100", 18), 30n));
+            expect(await thurisaz.balanceOf(owner.address)).to.equal(thurisazBalanceBefore + amountOut);
+        });
+
+        it("Should receive exactly amountOut through an intermediate pair", async function () {
+            const amountOut = parseUnits("10", 18);
+            const path = [thurisaz.target, uruz.target, otherToken.target];
+            const deadline = (await time.latest()) + 60 * 10;
+
+            const secondHop = getAmountInWithFee(amountOut, parseUnits("200", 18), parseUnits("400", 18), 30n);
+            const firstHop = getAmountInWithFee(secondHop, parseUnits("100", 18), parseUnits("200", 18), 30n);
+            const quotedAmounts = await simpleSwap.getAmountsIn(amountOut, path);
+            expect(quotedAmounts).to.deep.equal([firstHop, secondHop, amountOut]);
+
+            const otherTokenBalanceBefore = await otherToken.balanceOf(owner.address);
+
+            await thurisaz.approve(simpleSwap.target, firstHop);
+            await simpleSwap.swapTokensForExactTokens(amountOut, firstHop, path, owner.address, deadline);
+
+            expect(await otherToken.balanceOf(owner.address)).to.equal(otherTokenBalanceBefore + amountOut);
+        });
+
+        it("Should revert if the required input is above amountInMax", async function () {
+            const amountOut = parseUnits("10", 18);
+            const path = [thurisaz.target, uruz.target];
+            const deadline = (await time.latest()) + 60 * 10;
+
+            const quotedAmounts = await simpleSwap.getAmountsIn(amountOut, path);
+
+            await thurisaz.approve(simpleSwap.target, quotedAmounts[0]);
+            await expect(simpleSwap.swapTokensForExactTokens(amountOut, quotedAmounts[0] - 1n, path, owner.address, deadline))
+                .to.be.revertedWith("Slippage exceeded");
+        });
+
+        it("Should revert if amountOut is zero", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await expect(simpleSwap.swapTokensForExactTokens(0, parseUnits("1", 18), [thurisaz.target, uruz.target], owner.address, deadline))
+                .to.be.revertedWith("Zero amountOut");
+        });
+
+        it("Should revert if amountInMax is zero", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await expect(simpleSwap.swapTokensForExactTokens(parseUnits("1", 18), 0, [thurisaz.target, uruz.target], owner.address, deadline))
+                .to.be.revertedWith("Zero amountInMax");
+        });
+
+        it("Should revert if amountOut drains the reserves", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await expect(simpleSwap.swapTokensForExactTokens(parseUnits("200", 18), parseUnits("1000", 18), [thurisaz.target, uruz.target], owner.address, deadline))
+                .to.be.revertedWith("Insufficient reserves");
+        });
+
+        it("Should revert if deadline is exceeded", async function () {
+            const deadline = (await time.latest()) - 10; // 10 seconds in the past
+            await expect(simpleSwap.swapTokensForExactTokens(parseUnits("1", 18), parseUnits("1", 18), [thurisaz.target, uruz.target], owner.address, deadline))
+                .to.be.revertedWith("Transaction expired");
+        });
+    });
+
+    describe("permit", function () {
+        it("Should add liquidity without a previous approve", async function () {
+            const amountA = parseUnits("100", 18);
+            const amountB = parseUnits("200", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            const permitA = await signPermit(thurisaz, addr1, amountA, deadline);
+            const permitB = await signPermit(uruz, addr1, amountB, deadline);
+
+            await expect(simpleSwap.connect(addr1).addLiquidityWithPermit(
+                thurisaz.target,
+                uruz.target,
+                amountA,
+                amountB,
+                amountA,
+                amountB,
+                addr1.address,
+                deadline,
+                permitA,
+                permitB
+            )).to.emit(simpleSwap, "LiquidityAdded");
+
+            const liquidityToken = await getLiquidityToken(thurisaz, uruz);
+            expect(await liquidityToken.balanceOf(addr1.address)).to.equal(sqrtBigInt(amountA * amountB));
+            expect(await simpleSwap.reserve(thurisaz.target, uruz.target)).to.equal(amountA);
+        });
+
+        it("Should swap without a previous approve", async function () {
+            const amountA = parseUnits("100", 18);
+            const amountB = parseUnits("200", 18);
+            const swapAmountIn = parseUnits("10", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            await thurisaz.approve(simpleSwap.target, amountA);
+            await uruz.approve(simpleSwap.target, amountB);
+            await simpleSwap.addLiquidity(thurisaz.target, uruz.target, amountA, amountB, amountA, amountB, owner.address, deadline);
+
+            const path = [thurisaz.target, uruz.target];
+            const quotedAmounts = await simpleSwap.getAmountsOut(swapAmountIn, path);
+            const uruzBalanceBefore = await uruz.balanceOf(addr1.address);
+            const permit = await signPermit(thurisaz, addr1, swapAmountIn, deadline);
+
+            await expect(simpleSwap.connect(addr1).swapExactTokensForTokensWithPermit(
+                swapAmountIn,
+                quotedAmounts[1],
+                path,
+                addr1.address,
+                deadline,
+                permit
+            )).to.emit(simpleSwap, "SwapExecuted");
+
+            expect(await uruz.balanceOf(addr1.address)).to.equal(uruzBalanceBefore + quotedAmounts[1]);
+        });
+
+        it("Should let the spender of a permit remove liquidity on behalf of the holder", async function () {
+            const amountA = parseUnits("100", 18);
+            const amountB = parseUnits("200", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            await thurisaz.connect(addr1).approve(simpleSwap.target, amountA);
+            await uruz.connect(addr1).approve(simpleSwap.target, amountB);
+            await simpleSwap.connect(addr1).addLiquidity(thurisaz.target, uruz.target, amountA, amountB, amountA, amountB, addr1.address, deadline);
+
+            const liquidityToken = await getLiquidityToken(thurisaz, uruz);
+            const liquidity = await liquidityToken.balanceOf(addr1.address);
+            // addr1 lets addr2 (e.g. a relayer) remove the liquidity, and the tokens still go to addr1
+            const permit = await signPermit(liquidityToken, addr1, liquidity, deadline, addr2.address);
+
+            await expect(simpleSwap.connect(addr2).removeLiquidityWithPermit(
+                thurisaz.target,
+                uruz.target,
+                liquidity,
+                amountA,
+                amountB,
+                addr1.address,
+                addr1.address,
+                deadline,
+                permit
+            )).to.changeTokenBalance(liquidityToken, addr1, -liquidity);
+
+            expect(await liquidityToken.balanceOf(addr1.address)).to.equal(0);
+            expect(await liquidityToken.allowance(addr1.address, addr2.address)).to.equal(0);
+            expect(await thurisaz.balanceOf(addr1.address)).to.equal(parseUnits("500", 18));
+        });
+
+        it("Should not let anyone but the spender of the permit remove the holder's liquidity", async function () {
+            const amount = parseUnits("100", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            await thurisaz.connect(addr1).approve(simpleSwap.target, amount);
+            await uruz.connect(addr1).approve(simpleSwap.target, amount);
+            await simpleSwap.connect(addr1).addLiquidity(thurisaz.target, uruz.target, amount, amount, amount, amount, addr1.address, deadline);
+
+            const liquidityToken = await getLiquidityToken(thurisaz, uruz);
+            const permit = await signPermit(liquidityToken, addr1, amount, deadline, addr2.address);
+
+            // The signature names addr2, so it is of no use to the owner
+            await expect(simpleSwap.removeLiquidityWithPermit(
+                thurisaz.target, uruz.target, amount, 0, 0, addr1.address, owner.address, deadline, permit
+            )).to.be.revertedWith("Permit failed");
+
+            // Neither can a permit for SimpleSwap be used by anyone, nor can a permit be stretched past its value
+            const simpleSwapPermit = await signPermit(liquidityToken, addr1, amount, deadline);
+            await expect(simpleSwap.removeLiquidityWithPermit(
+                thurisaz.target, uruz.target, amount, 0, 0, addr1.address, owner.address, deadline, simpleSwapPermit
+            )).to.be.revertedWith("Permit failed");
+
+            const smallPermit = await signPermit(liquidityToken, addr1, 1n, deadline, addr2.address);
+            await expect(simpleSwap.connect(addr2).removeLiquidityWithPermit(
+                thurisaz.target, uruz.target, amount, 0, 0, addr1.address, addr2.address, deadline, smallPermit
+            )).to.be.revertedWithCustomError(liquidityToken, "ERC20InsufficientAllowance");
+        });
+
+        it("Should still work if the permit was already used", async function () {
+            const amountA = parseUnits("100", 18);
+            const amountB = parseUnits("200", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            const permitA = await signPermit(thurisaz, addr1, amountA, deadline);
+            const permitB = await signPermit(uruz, addr1, amountB, deadline);
+
+            // Someone else submits addr1's signature first
+            await thurisaz.connect(addr2).permit(addr1.address, simpleSwap.target, permitA.value, permitA.deadline, permitA.v, permitA.r, permitA.s);
+
+            await expect(simpleSwap.connect(addr1).addLiquidityWithPermit(
+                thurisaz.target,
+                uruz.target,
+                amountA,
+                amountB,
+                amountA,
+                amountB,
+                addr1.address,
+                deadline,
+                permitA,
+                permitB
+            )).to.emit(simpleSwap, "LiquidityAdded");
+        });
+
+        it("Should revert if the permit is invalid", async function () {
+            const amountA = parseUnits("100", 18);
+            const amountB = parseUnits("200", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            // Signed by addr2, but sent by addr1
+            const permitA = await signPermit(thurisaz, addr2, amountA, deadline);
+            const permitB = await signPermit(uruz, addr1, amountB, deadline);
+
+            await expect(simpleSwap.connect(addr1).addLiquidityWithPermit(
+                thurisaz.target,
+                uruz.target,
+                amountA,
+                amountB,
+                amountA,
+                amountB,
+                addr1.address,
+                deadline,
+                permitA,
+                permitB
+            )).to.be.revertedWith("Permit failed");
+        });
+    });
+
     describe("getPrice", function () {
         beforeEach(async function () {
             // Add initial liquidity for testing prices
             const amountA = parseUnits("100", 18);
             const amountB = parseUnits("200", 18);
-            const deadline = Math.floor(Date.now() / 1000) + 60 * 10;
+            const deadline = (await time.latest()) + 60 * 10;
 
             await thurisaz.approve(simpleSwap.target, amountA);
             await uruz.approve(simpleSwap.target, amountB);
@@ -590,6 +1145,551 @@ describe("SimpleSwap", function () {
         });
     });
 
+    describe("flash swaps", function () {
+        let borrower;
+        const reserveAmount = parseUnits("100", 18);
+        const borrowAmount = parseUnits("10", 18);
+
+        beforeEach(async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await thurisaz.approve(simpleSwap.target, reserveAmount);
+            await uruz.approve(simpleSwap.target, reserveAmount);
+            await simpleSwap.addLiquidity(thurisaz.target, uruz.target, reserveAmount, reserveAmount, reserveAmount, reserveAmount, owner.address, deadline);
+
+            borrower = await ethers.deployContract("FlashBorrowerMock", [simpleSwap.target]);
+            // The borrower needs some tokens of its own to pay the fee, or to pay with the other token
+            await thurisaz.transfer(borrower.target, parseUnits("20", 18));
+            await uruz.transfer(borrower.target, parseUnits("20", 18));
+        });
+
+        function repayWith(token, amount, reenter = false) {
+            return ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256", "bool"], [token.target, amount, reenter]);
+        }
+
+        it("Should lend the tokens and keep the fee when they are paid back", async function () {
+            // Paying back x requires x * 10000 / (10000 - fee) to cover the 0.3% fee on what comes in
+            const repayment = (borrowAmount * 10000n + 9969n) / 9970n;
+
+            await expect(borrower.borrow(thurisaz.target, uruz.target, borrowAmount, 0, repayWith(thurisaz, repayment)))
+                .to.emit(simpleSwap, "FlashSwap");
+
+            expect(await borrower.lastAmountAOut()).to.equal(borrowAmount);
+            expect(await borrower.lastAmountBOut()).to.equal(0);
+            expect(await simpleSwap.reserve(thurisaz.target, uruz.target)).to.equal(reserveAmount - borrowAmount + repayment);
+            expect(await simpleSwap.reserve(uruz.target, thurisaz.target)).to.equal(reserveAmount);
+        });
+
+        it("Should revert if the borrowed tokens are paid back without the fee", async function () {
+            await expect(borrower.borrow(thurisaz.target, uruz.target, borrowAmount, 0, repayWith(thurisaz, borrowAmount)))
+                .to.be.revertedWith("Invariant violated");
+        });
+
+        it("Should accept the other token as payment, as a swap", async function () {
+            // Borrowing Uruz and paying in Thurisaz costs what getAmountIn quotes
+            const amountIn = getAmountInWithFee(borrowAmount, reserveAmount, reserveAmount, 30n);
+
+            await borrower.borrow(uruz.target, thurisaz.target, borrowAmount, 0, repayWith(thurisaz, amountIn));
+
+            expect(await simpleSwap.reserve(uruz.target, thurisaz.target)).to.equal(reserveAmount - borrowAmount);
+            expect(await simpleSwap.reserve(thurisaz.target, uruz.target)).to.equal(reserveAmount + amountIn);
+            expect(await uruz.balanceOf(borrower.target)).to.equal(parseUnits("20", 18) + borrowAmount);
+        });
+
+        it("Should not let the receiver reenter SimpleSwap during the callback", async function () {
+            await expect(borrower.borrow(thurisaz.target, uruz.target, borrowAmount, 0, repayWith(thurisaz, borrowAmount * 2n, true)))
+                .to.be.revertedWith("No reentrancy");
+        });
+
+        it("Should revert on invalid flash swaps", async function () {
+            const data = repayWith(thurisaz, 0);
+            await expect(borrower.borrow(thurisaz.target, uruz.target, 0, 0, data)).to.be.revertedWith("Zero amountOut");
+            await expect(borrower.borrow(thurisaz.target, otherToken.target, 1, 0, data)).to.be.revertedWith("Pair does not exist");
+            await expect(borrower.borrow(thurisaz.target, uruz.target, reserveAmount, 0, data)).to.be.revertedWith("Insufficient reserves");
+        });
+    });
+
+    describe("fee-on-transfer tokens", function () {
+        let taxedToken;
+        const reserveAmount = parseUnits("100", 18);
+
+        beforeEach(async function () {
+            // 1% of every transfer is burned, more than the 0.3% swap fee
+            taxedToken = await ethers.deployContract("TaxedTokenMock", [100]);
+            await taxedToken.mint(owner.address, parseUnits("1000", 18));
+
+            const deadline = (await time.latest()) + 60 * 10;
+            await taxedToken.approve(simpleSwap.target, reserveAmount);
+            await thurisaz.approve(simpleSwap.target, reserveAmount);
+            await simpleSwap.addLiquidity(taxedToken.target, thurisaz.target, reserveAmount, reserveAmount, 0, 0, owner.address, deadline);
+        });
+
+        it("Should count as reserves only what actually arrived when adding liquidity", async function () {
+            expect(await simpleSwap.reserve(taxedToken.target, thurisaz.target)).to.equal(parseUnits("99", 18));
+            expect(await simpleSwap.reserve(thurisaz.target, taxedToken.target)).to.equal(reserveAmount);
+            expect(await simpleSwap.totalReserve(taxedToken.target)).to.equal(await taxedToken.balanceOf(simpleSwap.target));
+        });
+
+        it("Should revert a regular swap whose input loses more than the fee on transfer", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await taxedToken.approve(simpleSwap.target, parseUnits("10", 18));
+            await expect(simpleSwap.swapExactTokensForTokens(parseUnits("10", 18), 1, [taxedToken.target, thurisaz.target], owner.address, deadline))
+                .to.be.revertedWith("Invariant violated");
+        });
+
+        it("Should quote every hop with the amount that arrived in the fee-on-transfer variant", async function () {
+            const amountIn = parseUnits("10", 18);
+            const received = parseUnits("9.9", 18);
+            const reserveIn = await simpleSwap.reserve(taxedToken.target, thurisaz.target);
+            const expectedOut = getAmountOutWithFee(received, reserveIn, reserveAmount, 30n);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            await taxedToken.approve(simpleSwap.target, amountIn);
+            await expect(simpleSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(amountIn, expectedOut, [taxedToken.target, thurisaz.target], addr1.address, deadline))
+                .to.emit(simpleSwap, "SwapExecuted")
+                .withArgs(owner.address, addr1.address, [taxedToken.target, thurisaz.target], [received, expectedOut]);
+
+            expect(await thurisaz.balanceOf(addr1.address)).to.equal(parseUnits("500", 18) + expectedOut);
+            expect(await simpleSwap.reserve(taxedToken.target, thurisaz.target)).to.equal(reserveIn + received);
+            expect(await simpleSwap.reserve(thurisaz.target, taxedToken.target)).to.equal(reserveAmount - expectedOut);
+        });
+
+        it("Should check the minimum against what the recipient actually got", async function () {
+            // Selling Thurisaz for the taxed token: the pool sends expectedOut, but the recipient gets 1% less
+            const amountIn = parseUnits("10", 18);
+            const reserveOut = await simpleSwap.reserve(taxedToken.target, thurisaz.target);
+            const expectedOut = getAmountOutWithFee(amountIn, reserveAmount, reserveOut, 30n);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            await thurisaz.approve(simpleSwap.target, amountIn);
+            await expect(simpleSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(amountIn, expectedOut, [thurisaz.target, taxedToken.target], addr1.address, deadline))
+                .to.be.revertedWith("Slippage exceeded");
+            await simpleSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(amountIn, (expectedOut * 99n) / 100n, [thurisaz.target, taxedToken.target], addr1.address, deadline);
+        });
+    });
+
+    describe("sync and skim", function () {
+        const reserveAmount = parseUnits("100", 18);
+        const donation = parseUnits("5", 18);
+
+        beforeEach(async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await thurisaz.approve(simpleSwap.target, reserveAmount * 2n);
+            await uruz.approve(simpleSwap.target, reserveAmount);
+            await otherToken.approve(simpleSwap.target, reserveAmount);
+            await simpleSwap.addLiquidity(thurisaz.target, uruz.target, reserveAmount, reserveAmount, reserveAmount, reserveAmount, owner.address, deadline);
+            await simpleSwap.addLiquidity(thurisaz.target, otherToken.target, reserveAmount, reserveAmount, reserveAmount, reserveAmount, owner.address, deadline);
+
+            // Tokens sent straight to the contract belong to no pair
+            await thurisaz.transfer(simpleSwap.target, donation);
+        });
+
+        it("Should keep totalReserve as the sum of the reserves of every pair", async function () {
+            expect(await simpleSwap.totalReserve(thurisaz.target)).to.equal(reserveAmount * 2n);
+            expect(await thurisaz.balanceOf(simpleSwap.target)).to.equal(reserveAmount * 2n + donation);
+        });
+
+        it("Should send the tokens above the reserves to the recipient when skimming", async function () {
+            await expect(simpleSwap.skim(thurisaz.target, uruz.target, addr2.address))
+                .to.changeTokenBalance(thurisaz, addr2, donation);
+
+            expect(await simpleSwap.reserve(thurisaz.target, uruz.target)).to.equal(reserveAmount);
+            expect(await simpleSwap.reserve(thurisaz.target, otherToken.target)).to.equal(reserveAmount);
+        });
+
+        it("Should add the tokens above the reserves to the pair when syncing", async function () {
+            await simpleSwap.sync(uruz.target, thurisaz.target);
+
+            expect(await simpleSwap.reserve(thurisaz.target, uruz.target)).to.equal(reserveAmount + donation);
+            expect(await simpleSwap.reserve(uruz.target, thurisaz.target)).to.equal(reserveAmount);
+            expect(await simpleSwap.reserve(thurisaz.target, otherToken.target)).to.equal(reserveAmount);
+            expect(await simpleSwap.totalReserve(thurisaz.target)).to.equal(await thurisaz.balanceOf(simpleSwap.target));
+
+            // Nothing is left to skim afterwards
+            await expect(simpleSwap.skim(thurisaz.target, uruz.target, addr2.address))
+                .to.changeTokenBalance(thurisaz, addr2, 0);
+        });
+
+        //Empties the uruz/otherToken pair after a 1/1 deposit, leaving it with no liquidity tokens
+        async function emptyPair() {
+            const deadline = (await time.latest()) + 60 * 10;
+            await uruz.approve(simpleSwap.target, 1n);
+            await otherToken.approve(simpleSwap.target, 1n);
+            await simpleSwap.addLiquidity(uruz.target, otherToken.target, 1n, 1n, 0, 0, owner.address, deadline);
+            await simpleSwap.removeLiquidity(uruz.target, otherToken.target, 1n, 0, 0, owner.address, deadline);
+        }
+
+        //The next depositor must get liquidity tokens for a fresh pool
+        async function expectFreshDeposit() {
+            const deadline = (await time.latest()) + 60 * 10;
+            const amount = parseUnits("10", 18);
+            await uruz.connect(addr1).approve(simpleSwap.target, amount);
+            await otherToken.connect(addr1).approve(simpleSwap.target, amount);
+            await simpleSwap.connect(addr1).addLiquidity(uruz.target, otherToken.target, amount, amount, 0, 0, addr1.address, deadline);
+
+            const ltk = await getLiquidityToken(uruz, otherToken);
+            expect(await ltk.balanceOf(addr1.address)).to.equal(amount);
+        }
+
+        it("Should not credit tokens sent to a pair with no liquidity when syncing", async function () {
+            await emptyPair();
+            await uruz.transfer(simpleSwap.target, 1n);
+            await otherToken.transfer(simpleSwap.target, 1n);
+
+            await expect(simpleSwap.sync(uruz.target, otherToken.target)).to.be.revertedWith("No liquidity");
+            await expectFreshDeposit();
+        });
+
+        it("Should keep an empty pair usable when a single token is sent to it before syncing", async function () {
+            await emptyPair();
+            await uruz.transfer(simpleSwap.target, 1n);
+
+            await expect(simpleSwap.sync(uruz.target, otherToken.target)).to.be.revertedWith("No liquidity");
+            await expectFreshDeposit();
+        });
+
+        it("Should revert when a deposit would mint no liquidity tokens", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            // After syncing a donation of both tokens, each liquidity token is worth more than 1 wei of each
+            await uruz.transfer(simpleSwap.target, reserveAmount);
+            await thurisaz.transfer(simpleSwap.target, reserveAmount - donation);
+            await simpleSwap.sync(thurisaz.target, uruz.target);
+
+            await thurisaz.approve(simpleSwap.target, 1n);
+            await uruz.approve(simpleSwap.target, 1n);
+            await expect(simpleSwap.addLiquidity(thurisaz.target, uruz.target, 1n, 1n, 0, 0, owner.address, deadline))
+                .to.be.revertedWith("Liquidity too low");
+        });
+
+        it("Should refuse to put a negative rebase on whichever pair is synced", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            const rebasingToken = await ethers.deployContract("RebasingTokenMock");
+            await rebasingToken.mint(owner.address, reserveAmount * 2n);
+            await rebasingToken.approve(simpleSwap.target, reserveAmount * 2n);
+            await uruz.approve(simpleSwap.target, reserveAmount);
+            await otherToken.approve(simpleSwap.target, reserveAmount);
+            await simpleSwap.addLiquidity(rebasingToken.target, uruz.target, reserveAmount, reserveAmount, reserveAmount, reserveAmount, owner.address, deadline);
+            await simpleSwap.addLiquidity(rebasingToken.target, otherToken.target, reserveAmount, reserveAmount, reserveAmount, reserveAmount, owner.address, deadline);
+
+            await rebasingToken.rebaseDown(simpleSwap.target, parseUnits("10", 18));
+
+            await expect(simpleSwap.sync(rebasingToken.target, uruz.target)).to.be.revertedWith("Balance below reserves");
+            await expect(simpleSwap.sync(otherToken.target, rebasingToken.target)).to.be.revertedWith("Balance below reserves");
+            expect(await simpleSwap.reserve(rebasingToken.target, uruz.target)).to.equal(reserveAmount);
+            expect(await simpleSwap.reserve(rebasingToken.target, otherToken.target)).to.equal(reserveAmount);
+
+            // Skimming the other token of the pair still works
+            await uruz.transfer(simpleSwap.target, donation);
+            await expect(simpleSwap.skim(rebasingToken.target, uruz.target, addr2.address))
+                .to.changeTokenBalance(uruz, addr2, donation);
+        });
+
+        it("Should revert if the pair does not exist", async function () {
+            await expect(simpleSwap.sync(uruz.target, otherToken.target)).to.be.revertedWith("Pair does not exist");
+            await expect(simpleSwap.skim(uruz.target, otherToken.target, addr2.address)).to.be.revertedWith("Pair does not exist");
+        });
+    });
+
+    describe("per-pair events", function () {
+        const amount = parseUnits("100", 18);
+
+        //Pair events carry the tokens as SimpleSwap normalizes them
+        function sorted(tokenA, tokenB) {
+            return BigInt(tokenA.target) < BigInt(tokenB.target) ? [tokenA, tokenB] : [tokenB, tokenA];
+        }
+
+        beforeEach(async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await thurisaz.approve(simpleSwap.target, amount);
+            await uruz.approve(simpleSwap.target, amount * 2n);
+            await otherToken.approve(simpleSwap.target, amount);
+            await simpleSwap.addLiquidity(thurisaz.target, uruz.target, amount, amount, amount, amount, owner.address, deadline);
+            await simpleSwap.addLiquidity(uruz.target, otherToken.target, amount, amount, amount, amount, owner.address, deadline);
+        });
+
+        it("Should emit Mint and Sync when liquidity is added", async function () {
+            const [tokenA, tokenB] = sorted(thurisaz, uruz);
+            const deadline = (await time.latest()) + 60 * 10;
+            const liquidity = parseUnits("10", 18);
+            await thurisaz.connect(addr1).approve(simpleSwap.target, liquidity);
+            await uruz.connect(addr1).approve(simpleSwap.target, liquidity);
+
+            const tx = simpleSwap.connect(addr1).addLiquidity(thurisaz.target, uruz.target, liquidity, liquidity, 0, 0, addr2.address, deadline);
+            await expect(tx).to.emit(simpleSwap, "Mint")
+                .withArgs(addr1.address, tokenA.target, tokenB.target, liquidity, liquidity, liquidity, addr2.address);
+            await expect(tx).to.emit(simpleSwap, "Sync")
+                .withArgs(tokenA.target, tokenB.target, amount + liquidity, amount + liquidity);
+        });
+
+        it("Should emit a Swap and a Sync for every hop", async function () {
+            const swapAmountIn = parseUnits("10", 18);
+            const path = [thurisaz.target, uruz.target, otherToken.target];
+            const amounts = await simpleSwap.getAmountsOut(swapAmountIn, path);
+            const deadline = (await time.latest()) + 60 * 10;
+            await thurisaz.approve(simpleSwap.target, swapAmountIn);
+
+            const tx = simpleSwap.swapExactTokensForTokens(swapAmountIn, 1, path, addr1.address, deadline);
+            await expect(tx).to.emit(simpleSwap, "Swap")
+                .withArgs(owner.address, thurisaz.target, uruz.target, amounts[0], amounts[1], simpleSwap.target);
+            await expect(tx).to.emit(simpleSwap, "Swap")
+                .withArgs(owner.address, uruz.target, otherToken.target, amounts[1], amounts[2], addr1.address);
+
+            const [tokenA, tokenB] = sorted(uruz, otherToken);
+            const reserveA = await simpleSwap.reserve(tokenA.target, tokenB.target);
+            const reserveB = await simpleSwap.reserve(tokenB.target, tokenA.target);
+            await expect(tx).to.emit(simpleSwap, "Sync").withArgs(tokenA.target, tokenB.target, reserveA, reserveB);
+        });
+
+        it("Should let the logs of a single pair be filtered by its tokens", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await thurisaz.approve(simpleSwap.target, parseUnits("10", 18));
+            await uruz.approve(simpleSwap.target, parseUnits("20", 18));
+            await simpleSwap.swapExactTokensForTokens(parseUnits("10", 18), 1, [thurisaz.target, uruz.target], owner.address, deadline);
+            await simpleSwap.swapExactTokensForTokens(parseUnits("10", 18), 1, [uruz.target, thurisaz.target], owner.address, deadline);
+            await simpleSwap.swapExactTokensForTokens(parseUnits("10", 18), 1, [uruz.target, otherToken.target], owner.address, deadline);
+
+            // Both directions of the Thurisaz/Uruz pair, and nothing from Uruz/otherToken
+            const pair = [thurisaz.target, uruz.target];
+            const swaps = await simpleSwap.queryFilter(simpleSwap.filters.Swap(null, pair, pair));
+            expect(swaps.map((event) => event.args.tokenIn)).to.deep.equal([thurisaz.target, uruz.target]);
+
+            const [tokenA, tokenB] = sorted(thurisaz, uruz);
+            const syncs = await simpleSwap.queryFilter(simpleSwap.filters.Sync(tokenA.target, tokenB.target));
+            const lastSync = syncs[syncs.length - 1].args;
+            expect(lastSync.reserveA).to.equal(await simpleSwap.reserve(tokenA.target, tokenB.target));
+            expect(lastSync.reserveB).to.equal(await simpleSwap.reserve(tokenB.target, tokenA.target));
+        });
+
+        it("Should emit Burn and Sync when liquidity is removed", async function () {
+            const [tokenA, tokenB] = sorted(thurisaz, uruz);
+            const liquidity = parseUnits("40", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            const tx = simpleSwap.removeLiquidity(thurisaz.target, uruz.target, liquidity, 0, 0, addr1.address, deadline);
+            await expect(tx).to.emit(simpleSwap, "Burn")
+                .withArgs(owner.address, tokenA.target, tokenB.target, liquidity, liquidity, liquidity, addr1.address);
+            await expect(tx).to.emit(simpleSwap, "Sync")
+                .withArgs(tokenA.target, tokenB.target, amount - liquidity, amount - liquidity);
+        });
+
+        it("Should emit Sync when sync adds a donation to the reserves", async function () {
+            const [tokenA, tokenB] = sorted(thurisaz, uruz);
+            const donation = parseUnits("5", 18);
+            await thurisaz.transfer(simpleSwap.target, donation);
+
+            const reserveThurisaz = amount + donation;
+            await expect(simpleSwap.sync(thurisaz.target, uruz.target))
+                .to.emit(simpleSwap, "Sync")
+                .withArgs(
+                    tokenA.target,
+                    tokenB.target,
+                    tokenA === thurisaz ? reserveThurisaz : amount,
+                    tokenA === thurisaz ? amount : reserveThurisaz
+                );
+        });
+    });
+
+    describe("pair registry", function () {
+        //Pairs are registered with their tokens sorted, as SimpleSwap stores them
+        function sortedPair(tokenA, tokenB) {
+            return BigInt(tokenA.target) < BigInt(tokenB.target) ? [tokenA.target, tokenB.target] : [tokenB.target, tokenA.target];
+        }
+
+        async function addInitialLiquidity(tokenA, tokenB, amountA, amountB) {
+            const deadline = (await time.latest()) + 60 * 10;
+            await tokenA.approve(simpleSwap.target, amountA);
+            await tokenB.approve(simpleSwap.target, amountB);
+            return simpleSwap.addLiquidity(tokenA.target, tokenB.target, amountA, amountB, amountA, amountB, owner.address, deadline);
+        }
+
+        it("Should register each pair once, the first time it gets liquidity", async function () {
+            expect(await simpleSwap.allPairsLength()).to.equal(0);
+
+            const amount = parseUnits("100", 18);
+            const [tokenA, tokenB] = sortedPair(thurisaz, uruz);
+            const tx = await addInitialLiquidity(thurisaz, uruz, amount, amount);
+            await expect(tx)
+                .to.emit(simpleSwap, "PairCreated")
+                .withArgs(tokenA, tokenB, await simpleSwap.liquidityToken(thurisaz.target, uruz.target), 1);
+
+            // Adding liquidity again, even in the opposite order, doesn't register the pair twice
+            await expect(addInitialLiquidity(uruz, thurisaz, amount, amount)).not.to.emit(simpleSwap, "PairCreated");
+            await addInitialLiquidity(thurisaz, otherToken, amount, amount);
+
+            expect(await simpleSwap.allPairsLength()).to.equal(2);
+            const firstPair = await simpleSwap.allPairs(0);
+            expect([firstPair.tokenA, firstPair.tokenB]).to.deep.equal([tokenA, tokenB]);
+            expect(firstPair.liquidityToken).to.equal(await simpleSwap.liquidityToken(thurisaz.target, uruz.target));
+            const secondPair = await simpleSwap.allPairs(1);
+            expect([secondPair.tokenA, secondPair.tokenB]).to.deep.equal(sortedPair(thurisaz, otherToken));
+        });
+
+        it("Should return the reserves in the order of the arguments with the time of the last update", async function () {
+            await addInitialLiquidity(thurisaz, uruz, parseUnits("100", 18), parseUnits("200", 18));
+            const addedAt = await time.latest();
+
+            let [reserveThurisaz, reserveUruz, blockTimestampLast] = await simpleSwap.getReserves(thurisaz.target, uruz.target);
+            expect(reserveThurisaz).to.equal(parseUnits("100", 18));
+            expect(reserveUruz).to.equal(parseUnits("200", 18));
+            expect(blockTimestampLast).to.equal(addedAt);
+
+            await time.increase(60);
+            const swapAmountIn = parseUnits("10", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+            await uruz.approve(simpleSwap.target, swapAmountIn);
+            await simpleSwap.swapExactTokensForTokens(swapAmountIn, 1, [uruz.target, thurisaz.target], owner.address, deadline);
+
+            [reserveUruz, reserveThurisaz, blockTimestampLast] = await simpleSwap.getReserves(uruz.target, thurisaz.target);
+            expect(reserveUruz).to.equal(await simpleSwap.reserve(uruz.target, thurisaz.target));
+            expect(reserveThurisaz).to.equal(await simpleSwap.reserve(thurisaz.target, uruz.target));
+            expect(blockTimestampLast).to.equal(await time.latest());
+        });
+
+        it("Should return empty reserves for a pair that does not exist", async function () {
+            const [reserveA, reserveB, blockTimestampLast] = await simpleSwap.getReserves(thurisaz.target, otherToken.target);
+            expect(reserveA).to.equal(0);
+            expect(reserveB).to.equal(0);
+            expect(blockTimestampLast).to.equal(0);
+        });
+    });
+
+    describe("consult", function () {
+        const amountA = parseUnits("100", 18);
+        const amountB = parseUnits("200", 18);
+        let startTimestamp;
+
+        //Timestamp of the block that included a transaction
+        async function timestampOf(tx) {
+            const receipt = await tx.wait();
+            return (await ethers.provider.getBlock(receipt.blockNumber)).timestamp;
+        }
+
+        beforeEach(async function () {
+            // Pool starts at 1 Thurisaz = 2 Uruz
+            const deadline = (await time.latest()) + 60 * 10;
+            await thurisaz.approve(simpleSwap.target, amountA);
+            await uruz.approve(simpleSwap.target, amountB);
+            startTimestamp = await timestampOf(
+                await simpleSwap.addLiquidity(thurisaz.target, uruz.target, amountA, amountB, amountA, amountB, owner.address, deadline)
+            );
+        });
+
+        it("Should return the spot price while it has not changed", async function () {
+            await time.increase(100);
+
+            expect(await simpleSwap.consult(thurisaz.target, uruz.target, 50)).to.equal(parseUnits("2", 18));
+            expect(await simpleSwap.consult(uruz.target, thurisaz.target, 50)).to.equal(parseUnits("0.5", 18));
+        });
+
+        it("Should weigh each price by the time it lasted", async function () {
+            await time.increase(100);
+
+            // Adding liquidity at the same ratio keeps the price, so I add a swap to move it
+            const swapAmountIn = parseUnits("100", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+            await thurisaz.approve(simpleSwap.target, swapAmountIn);
+            const swapTimestamp = await timestampOf(
+                await simpleSwap.swapExactTokensForTokens(swapAmountIn, 1, [thurisaz.target, uruz.target], owner.address, deadline)
+            );
+            const newPrice = await simpleSwap.getPrice(thurisaz.target, uruz.target);
+
+            await time.increase(100);
+            const now = await time.latest();
+            const window = now - startTimestamp;
+
+            const oldPriceTime = BigInt(swapTimestamp - startTimestamp);
+            const newPriceTime = BigInt(now - swapTimestamp);
+            const expectedPrice = (parseUnits("2", 18) * oldPriceTime + newPrice * newPriceTime) / BigInt(window);
+
+            expect(await simpleSwap.consult(thurisaz.target, uruz.target, window)).to.equal(expectedPrice);
+            // Right after the swap the average is still the old price, unlike getPrice
+            expect(await simpleSwap.consult(thurisaz.target, uruz.target, now - swapTimestamp)).to.equal(newPrice);
+            expect(newPrice).to.be.lt(expectedPrice);
+        });
+
+        it("Should interpolate windows that start between observations", async function () {
+            const deadline = (await time.latest()) + 60 * 10 + 400;
+            const swapAmountIn = parseUnits("10", 18);
+            await thurisaz.approve(simpleSwap.target, swapAmountIn * 2n);
+
+            await time.increase(100);
+            const firstSwap = await timestampOf(
+                await simpleSwap.swapExactTokensForTokens(swapAmountIn, 1, [thurisaz.target, uruz.target], owner.address, deadline)
+            );
+            const firstPrice = await simpleSwap.getPrice(thurisaz.target, uruz.target);
+
+            await time.increase(100);
+            const secondSwap = await timestampOf(
+                await simpleSwap.swapExactTokensForTokens(swapAmountIn, 1, [thurisaz.target, uruz.target], owner.address, deadline)
+            );
+            const secondPrice = await simpleSwap.getPrice(thurisaz.target, uruz.target);
+
+            await time.increase(100);
+            const now = await time.latest();
+
+            // The window starts halfway between the opening and the first swap
+            const windowStart = startTimestamp + Math.floor((firstSwap - startTimestamp) / 2);
+            const window = now - windowStart;
+            const expectedPrice = (
+                parseUnits("2", 18) * BigInt(firstSwap - windowStart) +
+                firstPrice * BigInt(secondSwap - firstSwap) +
+                secondPrice * BigInt(now - secondSwap)
+            ) / BigInt(window);
+
+            expect(await simpleSwap.consult(thurisaz.target, uruz.target, window)).to.equal(expectedPrice);
+        });
+
+        it("Should keep track of removed liquidity", async function () {
+            await time.increase(100);
+
+            // Removing half of the liquidity keeps the ratio, so the average stays the same
+            const liquidityToken = await getLiquidityToken(thurisaz, uruz);
+            const liquidity = await liquidityToken.balanceOf(owner.address);
+            const deadline = (await time.latest()) + 60 * 10;
+            await simpleSwap.removeLiquidity(thurisaz.target, uruz.target, liquidity / 2n, 0, 0, owner.address, deadline);
+
+            await time.increase(100);
+            const window = (await time.latest()) - startTimestamp;
+            expect(await simpleSwap.consult(thurisaz.target, uruz.target, window)).to.equal(parseUnits("2", 18));
+        });
+
+        it("Should keep working once old observations are overwritten", async function () {
+            // 130 swaps in different blocks fill the 128 observations buffer and wrap around it
+            const swapAmountIn = parseUnits("0.1", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+            await thurisaz.approve(simpleSwap.target, swapAmountIn * 130n);
+            for (let i = 0; i < 130; i++) {
+                await simpleSwap.swapExactTokensForTokens(swapAmountIn, 1, [thurisaz.target, uruz.target], owner.address, deadline);
+            }
+            const lastPrice = await simpleSwap.getPrice(thurisaz.target, uruz.target);
+
+            await time.increase(100);
+
+            // The opening observation is gone, but recent windows can still be consulted
+            const fullWindow = (await time.latest()) - startTimestamp;
+            await expect(simpleSwap.consult(thurisaz.target, uruz.target, fullWindow)).to.be.revertedWith("Window too long");
+            expect(await simpleSwap.consult(thurisaz.target, uruz.target, 100)).to.equal(lastPrice);
+
+            // A window covering the last swaps lies between the last price and the price before them
+            const average = await simpleSwap.consult(thurisaz.target, uruz.target, 150);
+            expect(average).to.be.gt(lastPrice);
+            expect(average).to.be.lt(parseUnits("2", 18));
+        });
+
+        it("Should revert if the window goes back before the first observation", async function () {
+            await time.increase(100);
+            const window = (await time.latest()) - startTimestamp + 1;
+            await expect(simpleSwap.consult(thurisaz.target, uruz.target, window)).to.be.revertedWith("Window too long");
+        });
+
+        it("Should revert if the window is zero", async function () {
+            await expect(simpleSwap.consult(thurisaz.target, uruz.target, 0)).to.be.revertedWith("Zero window");
+        });
+
+        it("Should revert if the pair has no observations", async function () {
+            await expect(simpleSwap.consult(thurisaz.target, otherToken.target, 10)).to.be.revertedWith("No observations");
+        });
+    });
+
     describe("getAmountOut", function () {
         it("Should calculate the correct amountOut for given inputs", async function () {
             const amountIn = parseUnits("10", 18);
@@ -598,8 +1698,20 @@ describe("SimpleSwap", function () {
             // amountOut = (amountIn * reserveOut) / (reserveIn + amountIn)
             // amountOut = (10 * 200) / (100 + 10) = 2000 / 110 = 18.1818...
             const expectedAmountOut = (amountIn * reserveOut) / (reserveIn + amountIn);
-            const actualAmountOut = await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut);
+            const actualAmountOut = await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut, 0);
+            expect(actualAmountOut).to.equal(expectedAmountOut);
+        });
+
+        it("Should discount the swap fee from amountIn", async function () {
+            const amountIn = parseUnits("10", 18);
+            const reserveIn = parseUnits("100", 18);
+            const reserveOut = parseUnits("200", 18);
+            // With a 0.3% fee only 9.97 of the 10 tokens count for the output
+            // amountOut = (9.97 * 200) / (100 + 9.97) = 18.1322...
+            const expectedAmountOut = getAmountOutWithFee(amountIn, reserveIn, reserveOut, 30n);
+            const actualAmountOut = await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut, 30);
             expect(actualAmountOut).to.equal(expectedAmountOut);
+            expect(actualAmountOut).to.be.lt((amountIn * reserveOut) / (reserveIn + amountIn));
         });
 
         it("Should return 0 if amountIn is 0", async function () {
@@ -607,7 +1719,7 @@ describe("SimpleSwap", function () {
             const reserveIn = parseUnits("100", 18);
             const reserveOut = parseUnits("200", 18);
             const expectedAmountOut = 0;
-            const actualAmountOut = await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut);
+            const actualAmountOut = await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut, 30);
             expect(actualAmountOut).to.equal(expectedAmountOut);
         });
 
@@ -616,8 +1728,304 @@ describe("SimpleSwap", function () {
             const reserveIn = parseUnits("100", 18);
             const reserveOut = 0;
             const expectedAmountOut = 0;
-            const actualAmountOut = await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut);
+            const actualAmountOut = await simpleSwap.getAmountOut(amountIn, reserveIn, reserveOut, 30);
             expect(actualAmountOut).to.equal(expectedAmountOut);
         });
     });
-});
\ No newline at end of file
+
+    describe("getAmountIn", function () {
+        it("Should calculate the correct amountIn for given inputs", async function () {
+            const amountOut = parseUnits("10", 18);
+            const reserveIn = parseUnits("100", 18);
+            const reserveOut = parseUnits("200", 18);
+            // amountIn = (100 * 10) / ((200 - 10) * 0.997) + 1 wei = 5.2790...
+            const expectedAmountIn = getAmountInWithFee(amountOut, reserveIn, reserveOut, 30n);
+            const actualAmountIn = await simpleSwap.getAmountIn(amountOut, reserveIn, reserveOut, 30);
+            expect(actualAmountIn).to.equal(expectedAmountIn);
+            // Swapping the quoted input gives back at least amountOut
+            expect(await simpleSwap.getAmountOut(actualAmountIn, reserveIn, reserveOut, 30)).to.be.gte(amountOut);
+        });
+
+        it("Should revert if amountOut is not below reserveOut", async function () {
+            const reserveIn = parseUnits("100", 18);
+            const reserveOut = parseUnits("200", 18);
+            await expect(simpleSwap.getAmountIn(reserveOut, reserveIn, reserveOut, 30)).to.be.revertedWith("Insufficient reserves");
+        });
+    });
+
+    describe("fees", function () {
+        beforeEach(async function () {
+            // Add initial liquidity for testing fees
+            const amountA = parseUnits("100", 18);
+            const amountB = parseUnits("200", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+
+            await thurisaz.approve(simpleSwap.target, amountA);
+            await uruz.approve(simpleSwap.target, amountB);
+            await simpleSwap.addLiquidity(thurisaz.target, uruz.target, amountA, amountB, amountA, amountB, owner.address, deadline);
+        });
+
+        it("Should assign the default fee to new pairs", async function () {
+            expect(await simpleSwap.defaultSwapFee()).to.equal(30);
+            expect(await simpleSwap.swapFee(thurisaz.target, uruz.target)).to.equal(30);
+            expect(await simpleSwap.swapFee(uruz.target, thurisaz.target)).to.equal(30);
+        });
+
+        it("Should keep the swap fee in the reserves", async function () {
+            const swapAmountIn = parseUnits("10", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+            const reserveIn = await simpleSwap.reserve(thurisaz.target, uruz.target);
+            const reserveOut = await simpleSwap.reserve(uruz.target, thurisaz.target);
+
+            await thurisaz.approve(simpleSwap.target, swapAmountIn);
+            await simpleSwap.swapExactTokensForTokens(swapAmountIn, 1, [thurisaz.target, uruz.target], owner.address, deadline);
+
+            // The whole amountIn goes to the reserves, so the constant product grows
+            const newReserveIn = await simpleSwap.reserve(thurisaz.target, uruz.target);
+            const newReserveOut = await simpleSwap.reserve(uruz.target, thurisaz.target);
+            expect(newReserveIn).to.equal(reserveIn + swapAmountIn);
+            expect(newReserveIn * newReserveOut).to.be.gt(reserveIn * reserveOut);
+        });
+
+        it("Should let the owner change the fee of a pair", async function () {
+            await expect(simpleSwap.setSwapFee(uruz.target, thurisaz.target, 100))
+                .to.emit(simpleSwap, "SwapFeeUpdated");
+
+            expect(await simpleSwap.swapFee(thurisaz.target, uruz.target)).to.equal(100);
+
+            // The new fee is applied to the next swaps
+            const swapAmountIn = parseUnits("10", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+            const expectedAmountOut = getAmountOutWithFee(swapAmountIn, parseUnits("100", 18), parseUnits("200", 18), 100n);
+
+            await thurisaz.approve(simpleSwap.target, swapAmountIn);
+            const amounts = await simpleSwap.swapExactTokensForTokens.staticCall(swapAmountIn, 1, [thurisaz.target, uruz.target], owner.address, deadline);
+            expect(amounts[1]).to.equal(expectedAmountOut);
+        });
+
+        it("Should revert if the fee is too high", async function () {
+            await expect(simpleSwap.setSwapFee(thurisaz.target, uruz.target, 1001)).to.be.revertedWith("Fee too high");
+            await expect(simpleSwap.setDefaultSwapFee(1001)).to.be.revertedWith("Fee too high");
+        });
+
+        it("Should revert if the pair does not exist", async function () {
+            await expect(simpleSwap.setSwapFee(thurisaz.target, otherToken.target, 10)).to.be.revertedWith("Pair does not exist");
+        });
+
+        it("Should apply the default fee only to pairs created afterwards", async function () {
+            await expect(simpleSwap.setDefaultSwapFee(5))
+                .to.emit(simpleSwap, "DefaultSwapFeeUpdated")
+                .withArgs(5);
+
+            const amountC = parseUnits("10", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+            await thurisaz.approve(simpleSwap.target, amountC);
+            await otherToken.approve(simpleSwap.target, amountC);
+            await simpleSwap.addLiquidity(thurisaz.target, otherToken.target, amountC, amountC, amountC, amountC, owner.address, deadline);
+
+            expect(await simpleSwap.swapFee(thurisaz.target, otherToken.target)).to.equal(5);
+            expect(await simpleSwap.swapFee(thurisaz.target, uruz.target)).to.equal(30);
+        });
+
+        it("Should send the protocol cut to the fee recipient", async function () {
+            // Half of the 0.3% fee goes to addr2
+            await expect(simpleSwap.setProtocolFee(addr2.address, 5000))
+                .to.emit(simpleSwap, "ProtocolFeeUpdated")
+                .withArgs(addr2.address, 5000);
+
+            const swapAmountIn = parseUnits("10", 18);
+            const deadline = (await time.latest()) + 60 * 10;
+            const reserveIn = await simpleSwap.reserve(thurisaz.target, uruz.target);
+            const expectedProtocolFee = (swapAmountIn * 30n * 5000n) / (10000n * 10000n);
+
+            await thurisaz.approve(simpleSwap.target, swapAmountIn);
+            await simpleSwap.swapExactTokensForTokens(swapAmountIn, 1, [thurisaz.target, uruz.target], owner.address, deadline);
+
+            expect(await thurisaz.balanceOf(addr2.address)).to.equal(expectedProtocolFee);
+            expect(await simpleSwap.reserve(thurisaz.target, uruz.target)).to.equal(reserveIn + swapAmountIn - expectedProtocolFee);
+        });
+
+        it("Should revert if the protocol fee settings are invalid", async function () {
+            await expect(simpleSwap.setProtocolFee(ethers.ZeroAddress, 5000)).to.be.revertedWith("Invalid fee recipient");
+            await expect(simpleSwap.setProtocolFee(addr2.address, 10001)).to.be.revertedWith("Share too high");
+        });
+
+        it("Should revert if a non-owner changes the fees", async function () {
+            await expect(simpleSwap.connect(addr1).setSwapFee(thurisaz.target, uruz.target, 0))
+                .to.be.revertedWithCustomError(simpleSwap, "OwnableUnauthorizedAccount");
+            await expect(simpleSwap.connect(addr1).setDefaultSwapFee(0))
+                .to.be.revertedWithCustomError(simpleSwap, "OwnableUnauthorizedAccount");
+            await expect(simpleSwap.connect(addr1).setProtocolFee(addr1.address, 10000))
+                .to.be.revertedWithCustomError(simpleSwap, "OwnableUnauthorizedAccount");
+        });
+    });
+
+    describe("multicall", function () {
+        const amount = parseUnits("100", 18);
+        const deposit = parseUnits("10", 18);
+        let liquidityTokenTU;
+
+        beforeEach(async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await thurisaz.approve(simpleSwap.target, amount);
+            await uruz.approve(simpleSwap.target, amount * 2n);
+            await otherToken.approve(simpleSwap.target, amount);
+            await simpleSwap.addLiquidity(thurisaz.target, uruz.target, amount, amount, 0, 0, owner.address, deadline);
+            await simpleSwap.addLiquidity(uruz.target, otherToken.target, amount, amount, 0, 0, owner.address, deadline);
+
+            // addr1 holds a Thurisaz/Uruz position it wants to move to Uruz/otherToken
+            await thurisaz.connect(addr1).approve(simpleSwap.target, deposit);
+            await uruz.connect(addr1).approve(simpleSwap.target, ethers.MaxUint256);
+            await otherToken.connect(addr1).approve(simpleSwap.target, ethers.MaxUint256);
+            await simpleSwap.connect(addr1).addLiquidity(thurisaz.target, uruz.target, deposit, deposit, 0, 0, addr1.address, deadline);
+            liquidityTokenTU = await getLiquidityToken(thurisaz, uruz);
+        });
+
+        //Encodes a call to SimpleSwap for the batch
+        function encode(name, args) {
+            return simpleSwap.interface.encodeFunctionData(name, args);
+        }
+
+        it("Should remove, swap and add liquidity in one transaction for the caller", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            const liquidity = await liquidityTokenTU.balanceOf(addr1.address);
+            const swapAmount = parseUnits("5", 18);
+            const calls = [
+                encode("removeLiquidity", [thurisaz.target, uruz.target, liquidity, 0, 0, addr1.address, deadline]),
+                encode("swapExactTokensForTokens", [swapAmount, 1, [uruz.target, otherToken.target], addr1.address, deadline]),
+                encode("addLiquidity", [uruz.target, otherToken.target, swapAmount, swapAmount, 0, 0, addr1.address, deadline]),
+            ];
+
+            const results = await simpleSwap.connect(addr1).multicall.staticCall(calls);
+            const [amountThurisaz, amountUruz] = simpleSwap.interface.decodeFunctionResult("removeLiquidity", results[0]);
+            const [amounts] = simpleSwap.interface.decodeFunctionResult("swapExactTokensForTokens", results[1]);
+            const [, , minted] = simpleSwap.interface.decodeFunctionResult("addLiquidity", results[2]);
+            expect(amountThurisaz).to.equal(deposit);
+            expect(amountUruz).to.equal(deposit);
+            expect(amounts[0]).to.equal(swapAmount);
+
+            await expect(simpleSwap.connect(addr1).multicall(calls))
+                .to.emit(simpleSwap, "Burn")
+                .and.to.emit(simpleSwap, "Swap")
+                .and.to.emit(simpleSwap, "Mint");
+
+            expect(await liquidityTokenTU.balanceOf(addr1.address)).to.equal(0);
+            expect(await (await getLiquidityToken(uruz, otherToken)).balanceOf(addr1.address)).to.equal(minted);
+            expect(await simpleSwap.reserve(thurisaz.target, uruz.target)).to.equal(amount);
+        });
+
+        it("Should revert the whole batch with the reason of the call that failed", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            const liquidity = await liquidityTokenTU.balanceOf(addr1.address);
+            const calls = [
+                encode("removeLiquidity", [thurisaz.target, uruz.target, liquidity, 0, 0, addr1.address, deadline]),
+                encode("swapExactTokensForTokens", [deposit, deposit, [uruz.target, otherToken.target], addr1.address, deadline]),
+            ];
+
+            await expect(simpleSwap.connect(addr1).multicall(calls)).to.be.revertedWith("Slippage exceeded");
+            expect(await liquidityTokenTU.balanceOf(addr1.address)).to.equal(liquidity);
+
+            await expect(simpleSwap.connect(addr1).multicall([encode("pause", [])]))
+                .to.be.revertedWithCustomError(simpleSwap, "OwnableUnauthorizedAccount")
+                .withArgs(addr1.address);
+        });
+
+        it("Should run admin calls for the owner", async function () {
+            await simpleSwap.multicall([encode("pause", []), encode("setAllowlistEnabled", [true])]);
+
+            expect(await simpleSwap.paused()).to.equal(true);
+            expect(await simpleSwap.allowlistEnabled()).to.equal(true);
+        });
+    });
+
+    describe("admin", function () {
+        const amount = parseUnits("100", 18);
+
+        beforeEach(async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await thurisaz.approve(simpleSwap.target, amount * 3n);
+            await uruz.approve(simpleSwap.target, amount * 2n);
+            await otherToken.approve(simpleSwap.target, amount);
+            await simpleSwap.addLiquidity(thurisaz.target, uruz.target, amount, amount, amount, amount, owner.address, deadline);
+        });
+
+        it("Should give every liquidity token to SimpleSwap", async function () {
+            const liquidityToken = await getLiquidityToken(thurisaz, uruz);
+            expect(await liquidityToken.owner()).to.equal(simpleSwap.target);
+        });
+
+        it("Should transfer ownership in two steps", async function () {
+            await expect(simpleSwap.transferOwnership(addr1.address))
+                .to.emit(simpleSwap, "OwnershipTransferStarted")
+                .withArgs(owner.address, addr1.address);
+            expect(await simpleSwap.owner()).to.equal(owner.address);
+            expect(await simpleSwap.pendingOwner()).to.equal(addr1.address);
+
+            await expect(simpleSwap.connect(addr2).acceptOwnership())
+                .to.be.revertedWithCustomError(simpleSwap, "OwnableUnauthorizedAccount");
+            await expect(simpleSwap.connect(addr1).acceptOwnership())
+                .to.emit(simpleSwap, "OwnershipTransferred")
+                .withArgs(owner.address, addr1.address);
+            expect(await simpleSwap.owner()).to.equal(addr1.address);
+        });
+
+        it("Should block swaps and new liquidity while paused, but not withdrawals", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await expect(simpleSwap.pause()).to.emit(simpleSwap, "Paused").withArgs(owner.address);
+
+            await expect(simpleSwap.swapExactTokensForTokens(amount / 10n, 1, [thurisaz.target, uruz.target], owner.address, deadline))
+                .to.be.revertedWithCustomError(simpleSwap, "EnforcedPause");
+            await expect(simpleSwap.swapTokensForExactTokens(amount / 10n, amount, [thurisaz.target, uruz.target], owner.address, deadline))
+                .to.be.revertedWithCustomError(simpleSwap, "EnforcedPause");
+            await expect(simpleSwap.swapExactTokensForTokensSupportingFeeOnTransferTokens(amount / 10n, 1, [thurisaz.target, uruz.target], owner.address, deadline))
+                .to.be.revertedWithCustomError(simpleSwap, "EnforcedPause");
+            await expect(simpleSwap.flashSwap(thurisaz.target, uruz.target, 1, 0, owner.address, "0x"))
+                .to.be.revertedWithCustomError(simpleSwap, "EnforcedPause");
+            await expect(simpleSwap.addLiquidity(thurisaz.target, uruz.target, amount, amount, 0, 0, owner.address, deadline))
+                .to.be.revertedWithCustomError(simpleSwap, "EnforcedPause");
+
+            const liquidityToken = await getLiquidityToken(thurisaz, uruz);
+            const liquidity = await liquidityToken.balanceOf(owner.address);
+            await expect(simpleSwap.removeLiquidity(thurisaz.target, uruz.target, liquidity, 0, 0, owner.address, deadline))
+                .to.changeTokenBalance(thurisaz, owner, amount);
+
+            await expect(simpleSwap.unpause()).to.emit(simpleSwap, "Unpaused").withArgs(owner.address);
+            await simpleSwap.addLiquidity(thurisaz.target, uruz.target, amount, amount, 0, 0, owner.address, deadline);
+        });
+
+        it("Should only accept allowlisted tokens for new liquidity while the allowlist is enabled", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await expect(simpleSwap.setAllowlistEnabled(true))
+                .to.emit(simpleSwap, "AllowlistEnabledUpdated")
+                .withArgs(true);
+            await expect(simpleSwap.setTokenAllowed(thurisaz.target, true))
+                .to.emit(simpleSwap, "TokenAllowedUpdated")
+                .withArgs(thurisaz.target, true);
+
+            await expect(simpleSwap.addLiquidity(thurisaz.target, otherToken.target, amount, amount, 0, 0, owner.address, deadline))
+                .to.be.revertedWith("Token not allowed");
+            await expect(simpleSwap.addLiquidity(thurisaz.target, uruz.target, amount, amount, 0, 0, owner.address, deadline))
+                .to.be.revertedWith("Token not allowed");
+
+            // Existing pairs can still be traded
+            await simpleSwap.swapExactTokensForTokens(amount / 10n, 1, [thurisaz.target, uruz.target], owner.address, deadline);
+
+            await simpleSwap.setTokenAllowed(otherToken.target, true);
+            await simpleSwap.addLiquidity(thurisaz.target, otherToken.target, amount, amount, 0, 0, owner.address, deadline);
+
+            await simpleSwap.setAllowlistEnabled(false);
+            await simpleSwap.addLiquidity(thurisaz.target, uruz.target, amount / 2n, amount, 0, 0, owner.address, deadline);
+        });
+
+        it("Should revert if a non-owner uses the admin controls", async function () {
+            await expect(simpleSwap.connect(addr1).pause())
+                .to.be.revertedWithCustomError(simpleSwap, "OwnableUnauthorizedAccount");
+            await expect(simpleSwap.connect(addr1).unpause())
+                .to.be.revertedWithCustomError(simpleSwap, "OwnableUnauthorizedAccount");
+            await expect(simpleSwap.connect(addr1).setAllowlistEnabled(true))
+                .to.be.revertedWithCustomError(simpleSwap, "OwnableUnauthorizedAccount");
+            await expect(simpleSwap.connect(addr1).setTokenAllowed(addr1.address, true))
+                .to.be.revertedWithCustomError(simpleSwap, "OwnableUnauthorizedAccount");
+        });
+    });
+});
@@ -0,0 +1,142 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SimpleSwapETH", function () {
+    let simpleSwap;
+    let router;
+    let weth;
+    let thurisaz;
+    let owner;
+    let addr1;
+
+    const parseUnits = ethers.parseUnits;
+
+    beforeEach(async function () {
+        [owner, addr1] = await ethers.getSigners();
+
+        thurisaz = await ethers.deployContract("Thurisaz");
+        weth = await ethers.deployContract("WETHMock");
+        simpleSwap = await ethers.deployContract("SimpleSwap");
+        router = await ethers.deployContract("SimpleSwapETH", [simpleSwap.target, weth.target]);
+
+        await thurisaz.mint(owner.address, parseUnits("1000", 18));
+        await thurisaz.mint(addr1.address, parseUnits("500", 18));
+    });
+
+    //Seeds a Thurisaz/WETH pool through the router: 100 Thurisaz against 10 ETH
+    async function addInitialLiquidity() {
+        const deadline = (await time.latest()) + 60 * 10;
+        await thurisaz.approve(router.target, parseUnits("100", 18));
+        await router.addLiquidityETH(thurisaz.target, parseUnits("100", 18), 0, 0, owner.address, deadline, { value: parseUnits("10", 18) });
+    }
+
+    describe("addLiquidityETH", function () {
+        it("Should wrap the ETH and add it to the token/WETH pair", async function () {
+            await addInitialLiquidity();
+
+            expect(await simpleSwap.reserve(thurisaz.target, weth.target)).to.equal(parseUnits("100", 18));
+            expect(await simpleSwap.reserve(weth.target, thurisaz.target)).to.equal(parseUnits("10", 18));
+            const ltk = await ethers.getContractAt("LiquidityToken", await simpleSwap.liquidityToken(thurisaz.target, weth.target));
+            expect(await ltk.balanceOf(owner.address)).to.be.gt(0n);
+            expect(await ethers.provider.getBalance(router.target)).to.equal(0);
+        });
+
+        it("Should refund the ETH the pool doesn't take", async function () {
+            await addInitialLiquidity();
+
+            // The pool is 10 Thurisaz per ETH, so for 10 Thurisaz it only takes 1 of the 3 ETH sent
+            const deadline = (await time.latest()) + 60 * 10;
+            await thurisaz.connect(addr1).approve(router.target, parseUnits("10", 18));
+            await expect(router.connect(addr1).addLiquidityETH(thurisaz.target, parseUnits("10", 18), 0, 0, addr1.address, deadline, { value: parseUnits("3", 18) }))
+                .to.changeEtherBalance(addr1, -parseUnits("1", 18));
+
+            expect(await simpleSwap.reserve(weth.target, thurisaz.target)).to.equal(parseUnits("11", 18));
+            expect(await weth.balanceOf(router.target)).to.equal(0);
+        });
+    });
+
+    describe("swaps", function () {
+        beforeEach(addInitialLiquidity);
+
+        it("Should swap exact ETH for tokens", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            const amountIn = parseUnits("1", 18);
+            const [, expectedOut] = await simpleSwap.getAmountsOut(amountIn, [weth.target, thurisaz.target]);
+
+            await expect(router.connect(addr1).swapExactETHForTokens(1, [weth.target, thurisaz.target], addr1.address, deadline, { value: amountIn }))
+                .to.changeTokenBalance(thurisaz, addr1, expectedOut);
+            expect(await simpleSwap.reserve(weth.target, thurisaz.target)).to.equal(parseUnits("11", 18));
+        });
+
+        it("Should swap exact tokens for ETH", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            const amountIn = parseUnits("10", 18);
+            const [, expectedOut] = await simpleSwap.getAmountsOut(amountIn, [thurisaz.target, weth.target]);
+
+            await thurisaz.connect(addr1).approve(router.target, amountIn);
+            await expect(router.connect(addr1).swapExactTokensForETH(amountIn, 1, [thurisaz.target, weth.target], addr1.address, deadline))
+                .to.changeEtherBalance(addr1, expectedOut);
+            expect(await weth.balanceOf(router.target)).to.equal(0);
+        });
+
+        it("Should log the swaps with the user as the sender", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            const amountIn = parseUnits("1", 18);
+            const ethPath = [weth.target, thurisaz.target];
+            const ethAmounts = await simpleSwap.getAmountsOut(amountIn, ethPath);
+            await expect(router.connect(addr1).swapExactETHForTokens(1, ethPath, addr1.address, deadline, { value: amountIn }))
+                .to.emit(router, "SwapExecuted").withArgs(addr1.address, addr1.address, ethPath, ethAmounts);
+
+            const tokenPath = [thurisaz.target, weth.target];
+            const tokenAmounts = await simpleSwap.getAmountsOut(amountIn, tokenPath);
+            await thurisaz.connect(addr1).approve(router.target, amountIn);
+            await expect(router.connect(addr1).swapExactTokensForETH(amountIn, 1, tokenPath, addr1.address, deadline))
+                .to.emit(router, "SwapExecuted").withArgs(addr1.address, addr1.address, tokenPath, tokenAmounts);
+        });
+
+        it("Should revert if the path doesn't start or end with WETH", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await expect(router.swapExactETHForTokens(1, [thurisaz.target, weth.target], owner.address, deadline, { value: 1 }))
+                .to.be.revertedWith("Path must start with WETH");
+            await expect(router.swapExactTokensForETH(1, 1, [weth.target, thurisaz.target], owner.address, deadline))
+                .to.be.revertedWith("Path must end with WETH");
+        });
+
+        it("Should keep the slippage check of SimpleSwap", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await expect(router.swapExactETHForTokens(parseUnits("100", 18), [weth.target, thurisaz.target], owner.address, deadline, { value: parseUnits("1", 18) }))
+                .to.be.revertedWith("Slippage exceeded");
+        });
+    });
+
+    describe("removeLiquidityETH", function () {
+        beforeEach(addInitialLiquidity);
+
+        it("Should pay the WETH side of the pair in ETH", async function () {
+            const ltk = await ethers.getContractAt("LiquidityToken", await simpleSwap.liquidityToken(thurisaz.target, weth.target));
+            const liquidity = (await ltk.balanceOf(owner.address)) / 2n;
+            const deadline = (await time.latest()) + 60 * 10;
+
+            const totalSupply = await ltk.totalSupply();
+            const expectedETH = (liquidity * parseUnits("10", 18)) / totalSupply;
+            const expectedThurisaz = (liquidity * parseUnits("100", 18)) / totalSupply;
+
+            await ltk.approve(router.target, liquidity);
+            const tx = router.removeLiquidityETH(thurisaz.target, liquidity, 0, 0, owner.address, deadline);
+            await expect(tx).to.changeEtherBalance(owner, expectedETH);
+            await expect(tx).to.changeTokenBalance(thurisaz, owner, expectedThurisaz);
+            expect(await ltk.balanceOf(router.target)).to.equal(0);
+        });
+
+        it("Should revert if the pair does not exist", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await expect(router.removeLiquidityETH(addr1.address, 1, 0, 0, owner.address, deadline))
+                .to.be.revertedWith("Pair does not exist");
+        });
+    });
+
+    it("Should only accept ETH from WETH", async function () {
+        await expect(owner.sendTransaction({ to: router.target, value: 1 })).to.be.revertedWith("Only WETH");
+    });
+});
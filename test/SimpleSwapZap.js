@@ -0,0 +1,129 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("SimpleSwapZap", function () {
+    let simpleSwap;
+    let zap;
+    let thurisaz;
+    let uruz;
+    let ltk;
+    let owner;
+    let addr1;
+
+    const parseUnits = ethers.parseUnits;
+
+    beforeEach(async function () {
+        [owner, addr1] = await ethers.getSigners();
+
+        thurisaz = await ethers.deployContract("Thurisaz");
+        uruz = await ethers.deployContract("Uruz");
+        simpleSwap = await ethers.deployContract("SimpleSwap");
+        zap = await ethers.deployContract("SimpleSwapZap", [simpleSwap.target]);
+
+        await thurisaz.mint(owner.address, parseUnits("1000", 18));
+        await uruz.mint(owner.address, parseUnits("1000", 18));
+        await thurisaz.mint(addr1.address, parseUnits("100", 18));
+
+        // A pool of 100 Thurisaz and 200 Uruz
+        const deadline = (await time.latest()) + 60 * 10;
+        await thurisaz.approve(simpleSwap.target, parseUnits("100", 18));
+        await uruz.approve(simpleSwap.target, parseUnits("200", 18));
+        await simpleSwap.addLiquidity(thurisaz.target, uruz.target, parseUnits("100", 18), parseUnits("200", 18), 0, 0, owner.address, deadline);
+        ltk = await ethers.getContractAt("LiquidityToken", await simpleSwap.liquidityToken(thurisaz.target, uruz.target));
+    });
+
+    //addr1 zaps amountIn Thurisaz into the pool
+    async function zapIn(amountIn) {
+        const deadline = (await time.latest()) + 60 * 10;
+        await thurisaz.connect(addr1).approve(zap.target, amountIn);
+        await zap.connect(addr1).zapIn(thurisaz.target, amountIn, uruz.target, 0, addr1.address, deadline);
+    }
+
+    describe("zapIn", function () {
+        it("Should add liquidity with a single token and mint what was quoted", async function () {
+            const amountIn = parseUnits("10", 18);
+            const [amountSwapped, amountOut, liquidity] = await zap.quoteZapIn(thurisaz.target, amountIn, uruz.target);
+            // A bit under half of the deposit is swapped, since the swap itself adds to the Thurisaz reserve
+            expect(amountSwapped).to.be.gt(amountIn * 45n / 100n);
+            expect(amountSwapped).to.be.lt(amountIn / 2n);
+            expect(amountOut).to.equal(await simpleSwap.getAmountOut(amountSwapped, parseUnits("100", 18), parseUnits("200", 18), 30));
+
+            await zapIn(amountIn);
+
+            expect(await ltk.balanceOf(addr1.address)).to.equal(liquidity);
+            expect(await thurisaz.balanceOf(zap.target)).to.equal(0);
+            expect(await uruz.balanceOf(zap.target)).to.equal(0);
+            // Only dust is refunded, since the swap leaves both sides at the pool ratio
+            expect(await thurisaz.balanceOf(addr1.address)).to.be.lt(parseUnits("90.000001", 18));
+            expect(await uruz.balanceOf(addr1.address)).to.be.lt(parseUnits("0.000001", 18));
+        });
+
+        it("Should work from either token of the pair and with a protocol fee", async function () {
+            await simpleSwap.setProtocolFee(owner.address, 5000);
+            const amountIn = parseUnits("50", 18);
+            await uruz.transfer(addr1.address, amountIn);
+            const [, , liquidity] = await zap.quoteZapIn(uruz.target, amountIn, thurisaz.target);
+
+            const deadline = (await time.latest()) + 60 * 10;
+            await uruz.connect(addr1).approve(zap.target, amountIn);
+            await zap.connect(addr1).zapIn(uruz.target, amountIn, thurisaz.target, liquidity, addr1.address, deadline);
+
+            expect(await ltk.balanceOf(addr1.address)).to.equal(liquidity);
+            expect(await uruz.balanceOf(addr1.address)).to.be.lt(parseUnits("0.01", 18));
+        });
+
+        it("Should revert when less than minLiquidity would be minted", async function () {
+            const amountIn = parseUnits("10", 18);
+            const [, , liquidity] = await zap.quoteZapIn(thurisaz.target, amountIn, uruz.target);
+            const deadline = (await time.latest()) + 60 * 10;
+            await thurisaz.connect(addr1).approve(zap.target, amountIn);
+
+            await expect(zap.connect(addr1).zapIn(thurisaz.target, amountIn, uruz.target, liquidity + 1n, addr1.address, deadline))
+                .to.be.revertedWith("Slippage exceeded");
+            await expect(zap.connect(addr1).zapIn(thurisaz.target, amountIn, addr1.address, 0, addr1.address, deadline))
+                .to.be.revertedWith("Insufficient reserves");
+            await expect(zap.connect(addr1).zapIn(thurisaz.target, 1, uruz.target, 0, addr1.address, deadline))
+                .to.be.revertedWith("Amount too low");
+        });
+    });
+
+    describe("zapOut", function () {
+        it("Should remove liquidity into a single token and pay what was quoted", async function () {
+            await zapIn(parseUnits("10", 18));
+            const liquidity = await ltk.balanceOf(addr1.address);
+            const amountOut = await zap.quoteZapOut(thurisaz.target, uruz.target, liquidity);
+            // Zapping back in and out costs the swap fee twice, on about half of the amount each time
+            expect(amountOut).to.be.lt(parseUnits("10", 18));
+            expect(amountOut).to.be.gt(parseUnits("9.9", 18));
+
+            const deadline = (await time.latest()) + 60 * 10;
+            await ltk.connect(addr1).approve(zap.target, liquidity);
+            await expect(zap.connect(addr1).zapOut(thurisaz.target, uruz.target, liquidity, amountOut + 1n, addr1.address, deadline))
+                .to.be.revertedWith("Slippage exceeded");
+            await expect(zap.connect(addr1).zapOut(thurisaz.target, uruz.target, liquidity, amountOut, addr1.address, deadline))
+                .to.changeTokenBalance(thurisaz, addr1, amountOut);
+
+            expect(await ltk.balanceOf(addr1.address)).to.equal(0);
+            expect(await uruz.balanceOf(addr1.address)).to.equal(0);
+            expect(await uruz.balanceOf(zap.target)).to.equal(0);
+        });
+
+        it("Should skip the swap when the other token rounds down to nothing", async function () {
+            // 1 wei of liquidity is worth 1 wei of Uruz and less than 1 wei of Thurisaz
+            const amountOut = await zap.quoteZapOut(uruz.target, thurisaz.target, 1n);
+            expect(amountOut).to.equal(1n);
+
+            const deadline = (await time.latest()) + 60 * 10;
+            await ltk.approve(zap.target, 1n);
+            await expect(zap.zapOut(uruz.target, thurisaz.target, 1n, amountOut, addr1.address, deadline))
+                .to.changeTokenBalance(uruz, addr1, amountOut);
+        });
+
+        it("Should revert if the pair does not exist", async function () {
+            const deadline = (await time.latest()) + 60 * 10;
+            await expect(zap.zapOut(thurisaz.target, addr1.address, 1, 0, owner.address, deadline))
+                .to.be.revertedWith("Pair does not exist");
+        });
+    });
+});
@@ -0,0 +1,34 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Tokens", function () {
+    for (const name of ["Thurisaz", "Uruz"]) {
+        describe(name, function () {
+            let token;
+            let owner;
+            let addr1;
+            let addr2;
+
+            beforeEach(async function () {
+                [owner, addr1, addr2] = await ethers.getSigners();
+                token = await ethers.deployContract(name);
+            });
+
+            it("Should mint the same amount to every account of a batch", async function () {
+                const amount = ethers.parseUnits("100", 18);
+
+                await token.mintBatch([addr1.address, addr2.address], amount);
+
+                expect(await token.balanceOf(addr1.address)).to.equal(amount);
+                expect(await token.balanceOf(addr2.address)).to.equal(amount);
+                expect(await token.totalSupply()).to.equal(amount * 2n);
+            });
+
+            it("Should revert if a non-owner mints a batch", async function () {
+                await expect(token.connect(addr1).mintBatch([addr1.address], 1n))
+                    .to.be.revertedWithCustomError(token, "OwnableUnauthorizedAccount")
+                    .withArgs(addr1.address);
+            });
+        });
+    }
+});